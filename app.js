@@ -1,383 +1,816 @@
 const express = require('express');
+const archiver = require('archiver');
 const path = require('path');
-const puppeteer = require('puppeteer');
-const XLSX = require('xlsx');
 const fs = require('fs');
+const os = require('os');
+const { JobQueue } = require('./lib/jobs');
+const { PRODUCT_SORTS, ProductStore } = require('./lib/store');
+const { diffProducts, loadProducts } = require('./lib/diff');
+const { Scheduler, validateWatchlist } = require('./lib/scheduler');
+const { AlertDispatcher, validateRule } = require('./lib/alerts');
+const { FORMATS, exportProducts, exportFiles } = require('./lib/exporters');
+const { MODES } = require('./lib/scraper');
+const { Checkpoint } = require('./lib/checkpoint');
+const { normalizeSeeds } = require('./lib/seeds');
+const { SITES, SITE_NAMES, resolveSite } = require('./lib/sites');
+const { registry, CONTENT_TYPE } = require('./lib/metrics');
+const { openApiSpec } = require('./lib/openapi');
+const { ApiKeys, loadApiKeys, requestKey, isLoopback } = require('./lib/auth');
+const { checkScrapeUrls, checkWebhookUrl, scrapeUrlGuard } = require('./lib/safeurl');
 
 const app = express();
 
 // Middleware
-app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Global variables for progress tracking
-let scrapeProgress = 0;
-let clients = [];
+// Everything but the static UI needs an API key from API_KEYS_FILE; with no
+// keys configured only requests from this machine are served
+const apiKeys = new ApiKeys(process.env.API_KEYS_FILE ? loadApiKeys(process.env.API_KEYS_FILE) : []);
+app.use(authenticate);
+
+// Filtered exports post the URLs of every visible product
+app.use(express.json({ limit: '1mb' }));
+
+const store = new ProductStore();
+
+// Scrape jobs run in the background; results are kept in JOBS_DIR, a directory per
+// job, until the job is evicted
+const jobQueue = new JobQueue({
+    concurrency: Number(process.env.JOB_CONCURRENCY) || 1,
+    outputDir: process.env.JOBS_DIR || path.join(process.cwd(), 'data', 'jobs'),
+    scrapeOptions: {
+        // Product pages fetched at once within each job
+        ...(process.env.PAGE_CONCURRENCY ? { concurrency: Number(process.env.PAGE_CONCURRENCY) } : {}),
+        // Links and redirects found while scraping get the same host checks as the seeds
+        urlGuard: scrapeUrlGuard()
+    },
+    store
+});
+
+// Scheduled runs count against the quota of the key that created the watchlist
+const scheduler = new Scheduler({ store, jobQueue, quotaError: owner => keyQuotaError(owner && apiKeys.byName(owner)) });
+scheduler.start();
 
-// Progress tracking functions
-function updateProgress(progress) {
-    scrapeProgress = progress;
-    clients.forEach(client => {
-        client.res.write(`data: ${JSON.stringify({ progress })}\n\n`);
+// Alert rules are evaluated against every stored run, scheduled or not
+const alertDispatcher = new AlertDispatcher({ store });
+jobQueue.on('run', ({ job, runId, products, previousProducts }) => {
+    alertDispatcher.processRun(runId, job.url, products, previousProducts).catch(err => {
+        console.error(`Alert processing for run ${runId} failed:`, err.message);
     });
+});
+
+// Jobs currently held by the queue, by status
+registry.gauge('scraper_jobs', 'Scrape jobs in the queue, by status', {
+    collect: () => {
+        const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+        jobQueue.list().forEach(job => { counts[job.status]++; });
+        return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+    }
+});
+
+// Unnamed events reach EventSource.onmessage; named ones need addEventListener
+function sendEvent(res, data, event = null) {
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
 }
 
-// SSE endpoint for progress updates
-app.get('/progress', (req, res) => {
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+// Largest page the list endpoints hand out at once
+const MAX_PAGE_SIZE = 1000;
 
-    // Send initial progress
-    res.write(`data: ${JSON.stringify({ progress: scrapeProgress })}\n\n`);
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
 
-    // Add this client to clients array
-    const clientId = Date.now();
-    const newClient = {
-        id: clientId,
-        res
-    };
-    clients.push(newClient);
+/**
+ * Lets a request through with a known API key that has requests left in
+ * its rate limit, setting `req.apiKey`.
+ */
+function authenticate(req, res, next) {
+    if (!apiKeys.enabled) {
+        if (isLoopback(req.socket.remoteAddress)) return next();
+        return res.status(403).json({ error: 'API keys are not configured; only local requests are allowed' });
+    }
 
-    // Remove client on connection close
-    req.on('close', () => {
-        clients = clients.filter(client => client.id !== clientId);
-    });
-});
+    const key = requestKey(req);
+    const entry = apiKeys.find(key);
+    if (!entry) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: key ? 'Invalid API key' : 'API key required' });
+    }
+    const { allowed, remaining, retryAfter } = apiKeys.take(entry);
+    res.set('RateLimit-Limit', String(entry.requestsPerMinute));
+    res.set('RateLimit-Remaining', String(remaining));
+    if (!allowed) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            error: `Rate limit of ${entry.requestsPerMinute} requests per minute exceeded; retry in ${retryAfter}s`
+        });
+    }
+    req.apiKey = entry;
+    next();
+}
+
+// Jobs started with a key count against its concurrent-job quota
+function jobOwner(req) {
+    return req.apiKey ? req.apiKey.name : null;
+}
+
+// Keys only get at their own jobs, checkpoints and stored runs. Ownerless ones
+// come from watchlists created without a key, or from the CLI.
+function canAccess(req, owner) {
+    return !owner || owner === jobOwner(req);
+}
+
+// Whose runs the store should return: the key's, or everyone's when no keys are configured
+function runViewer(req) {
+    return apiKeys.enabled ? jobOwner(req) : null;
+}
+
+function canAccessRun(req, run) {
+    return !apiKeys.enabled || canAccess(req, run.owner);
+}
+
+/**
+ * Error message when the request's key already has as many jobs queued or
+ * running as it may, otherwise null. Check right before queueing, after any
+ * await, so concurrent requests cannot both take the last slot.
+ */
+function jobQuotaError(req) {
+    return keyQuotaError(req.apiKey);
+}
 
-async function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function keyQuotaError(entry) {
+    if (!entry || jobQueue.countActive(entry.name) < entry.maxConcurrentJobs) {
+        return null;
+    }
+    return `Job quota reached: this key already has ${entry.maxConcurrentJobs} job(s) queued or running`;
 }
 
-async function getProductInfo(page, url) {
+/**
+ * Validates the body of a scrape request. Resolves with `{ error }` or the
+ * seed URLs (`url` or a `urls` array) and the job options to queue them with.
+ * Seeds must be on a supported site's hosts and resolve to public addresses
+ * (see checkScrapeUrls).
+ */
+async function parseScrapeRequest(body) {
+    const {
+        url, urls, site, format = 'xlsx', mode = 'auto', maxProducts, maxPages, reviews = false, maxReviews, attributes,
+        downloadImages = false, thumbnails = false
+    } = body;
+    if (!url && !urls) {
+        return { error: 'URL is required' };
+    }
+    if (urls !== undefined && !Array.isArray(urls)) {
+        return { error: 'urls must be an array of URLs' };
+    }
+    let seeds;
+    try {
+        seeds = normalizeSeeds(urls || url);
+    } catch (err) {
+        return { error: err.message };
+    }
+    if (site !== undefined && !SITE_NAMES.includes(site)) {
+        return { error: `site must be one of: ${SITE_NAMES.join(', ')}` };
+    }
     try {
-        await page.goto(url, { waitUntil: 'networkidle2', timeout: 20000 });
-        
-        await Promise.race([
-            page.waitForSelector('.seller-information a', { timeout: 4000 }),
-            page.waitForSelector('.title-content-list .brand-link a', { timeout: 2000 }),
-            page.waitForSelector('.description-card-module_description-card_m9PqC', { timeout: 5000 })
-        ]);
-        
-        const result = await page.evaluate(() => {
-            const sellerElement = document.querySelector('.seller-information a');
-            const brandElement = document.querySelector('.title-content-list .brand-link a');
-            const descriptionElement = document.querySelector('.product-description.product-description-module_product-description_3bMdX');
-            
-            // Extract additional sellers count
-            const offersElement = document.querySelector('.more-buying-choices-module_offer_34xYl');
-            let additionalSellers = 'No additional sellers';
-            
-            if (offersElement) {
-                const offerText = offersElement.textContent.trim();
-                const match = offerText.match(/(\d+)\s+offer/);
-                if (match) {
-                    additionalSellers = match[1];
-                }
+        resolveSite(seeds, site);
+    } catch (err) {
+        return { error: err.message };
+    }
+    const urlError = await checkScrapeUrls(seeds, site);
+    if (urlError) {
+        return { error: urlError };
+    }
+    if (!FORMATS.includes(format)) {
+        return { error: `format must be one of: ${FORMATS.join(', ')}` };
+    }
+    if (!MODES.includes(mode)) {
+        return { error: `mode must be one of: ${MODES.join(', ')}` };
+    }
+    if (maxProducts !== undefined && !isPositiveInteger(maxProducts)) {
+        return { error: 'maxProducts must be a positive integer' };
+    }
+    if (maxPages !== undefined && !isPositiveInteger(maxPages)) {
+        return { error: 'maxPages must be a positive integer' };
+    }
+    const flags = { reviews, downloadImages, thumbnails };
+    const notBoolean = Object.keys(flags).find(flag => typeof flags[flag] !== 'boolean');
+    if (notBoolean) {
+        return { error: `${notBoolean} must be true or false` };
+    }
+    if (thumbnails && !downloadImages) {
+        return { error: 'thumbnails require downloadImages' };
+    }
+    if (maxReviews !== undefined && !isPositiveInteger(maxReviews)) {
+        return { error: 'maxReviews must be a positive integer' };
+    }
+    if (attributes !== undefined && (!Array.isArray(attributes)
+        || attributes.some(name => typeof name !== 'string' || !name.trim()))) {
+        return { error: 'attributes must be an array of attribute names' };
+    }
+
+    const options = { format, mode };
+    if (site !== undefined) options.site = site;
+    if (maxProducts !== undefined) options.maxProducts = maxProducts;
+    if (maxPages !== undefined) options.maxPages = maxPages;
+    if (reviews) options.reviews = true;
+    if (maxReviews !== undefined) options.maxReviews = maxReviews;
+    if (attributes !== undefined) options.attributes = attributes.map(name => name.trim());
+    // Images are archived under IMAGE_DIR; clients cannot pick the directory
+    if (downloadImages) options.downloadImages = true;
+    if (thumbnails) options.thumbnails = true;
+    return { urls: seeds, options };
+}
+
+/**
+ * Reads the `limit` query parameter of a list. Returns `{ error }` or the
+ * limit as a number.
+ */
+function parseLimit(query, defaultLimit) {
+    const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+    if (!isPositiveInteger(limit) || limit > MAX_PAGE_SIZE) {
+        return { error: `limit must be an integer from 1 to ${MAX_PAGE_SIZE}` };
+    }
+    return { limit };
+}
+
+/**
+ * Reads the `limit` and `offset` query parameters of a paged list. Returns
+ * `{ error }` or both as numbers.
+ */
+function parsePage(query, defaultLimit) {
+    const { error, limit } = parseLimit(query, defaultLimit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (error) {
+        return { error };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset must be a non-negative integer' };
+    }
+    return { limit, offset };
+}
+
+/**
+ * Validates the query of a run's product list. Returns `{ error }` or the
+ * filters, sort and page to pass to ProductStore#queryRunProducts.
+ */
+function parseProductQuery(query) {
+    const { error, limit, offset } = parsePage(query, 100);
+    if (error) {
+        return { error };
+    }
+    const result = { limit, offset };
+    for (const name of ['seller', 'brand']) {
+        if (query[name] !== undefined) {
+            if (typeof query[name] !== 'string' || !query[name].trim()) {
+                return { error: `${name} must be a single non-empty value` };
             }
+            result[name] = query[name].trim();
+        }
+    }
+    for (const name of ['minPrice', 'maxPrice', 'minDiscount']) {
+        if (query[name] !== undefined) {
+            const value = typeof query[name] === 'string' && query[name].trim() ? Number(query[name]) : NaN;
+            if (!Number.isFinite(value)) {
+                return { error: `${name} must be a number` };
+            }
+            result[name] = value;
+        }
+    }
+    if (query.sort !== undefined) {
+        if (typeof query.sort !== 'string' || !Object.hasOwn(PRODUCT_SORTS, query.sort.replace(/^-/, ''))) {
+            return { error: `sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')} (prefix "-" for descending)` };
+        }
+        result.sort = query.sort;
+    }
+    return { query: result };
+}
 
-            // Extract list price
-            let listPrice = 'N/A';
-            const listPriceElement = document.querySelector('.buybox-offer-module_list-price_2GEsn .currency');
-            if (listPriceElement) {
-                listPrice = listPriceElement.textContent.trim();
+// Express 4 ignores rejected handlers; pass their errors on to the error middleware
+function asyncHandler(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Sends an export file, or a zip of it and its sidecar files (offers,
+ * variants, images, reviews) when it has any. Calls `done` once the
+ * response is over.
+ */
+function sendExport(res, filepath, done = () => {}) {
+    const files = exportFiles(filepath);
+    if (files.length === 1) {
+        return res.download(filepath, (err) => {
+            done();
+            if (err && !res.headersSent) {
+                res.status(500).json({ error: 'Failed to send file' });
             }
-            
-            const cleanDescription = (text) => {
-                if (!text) return '';
-                return text.replace(/\s+/g, ' ').replace(/\n\s*\n/g, '\n').trim();
-            };
-            
-            return {
-                seller: sellerElement ? sellerElement.textContent.trim() : 'No seller name found',
-                brand: brandElement ? brandElement.textContent.trim() : 'No brand found',
-                description: descriptionElement ? cleanDescription(descriptionElement.innerText) : 'No description found',
-                additionalSellers: additionalSellers,
-                listPrice: listPrice
-            };
         });
+    }
 
-        return result;
-    } catch (err) {
-        console.error('Error fetching product info:', err.message);
-        return {
-            seller: 'Error fetching seller',
-            brand: 'Error fetching brand',
-            description: 'Error fetching description',
-            additionalSellers: 'Error fetching additional sellers',
-            listPrice: 'Error fetching list price'
-        };
+    const archive = archiver('zip');
+    archive.on('error', err => res.destroy(err));
+    res.on('close', done);
+    res.attachment(`${path.basename(filepath, path.extname(filepath))}.zip`);
+    archive.pipe(res);
+    files.forEach(file => archive.file(file, { name: path.basename(file) }));
+    archive.finalize();
+}
+
+function findJob(req, res, next) {
+    const job = jobQueue.get(req.params.id);
+    if (!job || !canAccess(req, job.owner)) {
+        return res.status(404).json({ error: 'Job not found' });
     }
+    req.job = job;
+    next();
 }
 
-async function processBatch(products, startIdx, batchSize, browser) {
-    const batchPromises = [];
-    const endIdx = Math.min(startIdx + batchSize, products.length);
-
-    for (let i = startIdx; i < endIdx; i++) {
-        const product = products[i];
-        batchPromises.push((async () => {
-            const page = await browser.newPage();
-            await page.setViewport({ width: 1920, height: 1080 });
-            try {
-                const { seller, brand, description, additionalSellers, listPrice } = await getProductInfo(page, product['Product URL']);
-                return {
-                    ...product,
-                    Seller: seller,
-                    Brand: brand,
-                    Description: description,
-                    'Additional Sellers': additionalSellers,
-                    'List Price': listPrice
-                };
-            } finally {
-                await page.close();
-            }
-        })());
+// Routes
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Storefronts with a site adapter; scrape URLs must belong to one of them
+app.get('/sites', (req, res) => {
+    res.json(SITES.map(site => ({ name: site.name, label: site.label })));
+});
+
+app.post('/jobs', asyncHandler(async (req, res) => {
+    const { error, urls, options } = await parseScrapeRequest(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const quotaError = jobQuotaError(req);
+    if (quotaError) {
+        return res.status(429).json({ error: quotaError });
     }
 
-    return Promise.all(batchPromises);
-}
+    console.log('Queueing scrape:', urls.join(', '));
+    const job = jobQueue.create(urls, { ...options, owner: jobOwner(req) });
+    res.status(202).json(jobQueue.toJSON(job));
+}));
 
-async function getAllProducts(url) {
-    updateProgress(0);
-    const browser = await puppeteer.launch({ 
-        headless: "new",
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--disable-gpu',
-            '--window-size=1920,1080'
-        ]
-    });
-    
-    const mainPage = await browser.newPage();
-    await mainPage.setViewport({ width: 1920, height: 1080 });
+app.get('/jobs', (req, res) => {
+    res.json(jobQueue.list().filter(job => canAccess(req, job.owner)).map(job => jobQueue.toJSON(job)));
+});
 
-    try {
-        updateProgress(10);
-        console.log('Loading page...');
-        await mainPage.goto(url, { waitUntil: 'networkidle0', timeout: 60000 });
-        await mainPage.waitForSelector('article.product-card-module_product-card_fdqa8', { timeout: 30000 });
-
-        updateProgress(20);
-        let previousProductCount = 0;
-        let attemptCount = 0;
-        const maxAttempts = 5;
-
-        console.log('Starting to load all products...');
-        
-        while (true) {
-            const currentProductCount = await mainPage.evaluate(() => 
-                document.querySelectorAll('article.product-card-module_product-card_fdqa8').length
-            );
-            
-            console.log(`Current product count: ${currentProductCount}`);
-
-            try {
-                await mainPage.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-                await delay(2000);
-
-                const buttonVisible = await mainPage.evaluate(() => {
-                    const button = document.querySelector('.search-listings-module_load-more_OwyvW');
-                    if (!button) return false;
-                    
-                    const rect = button.getBoundingClientRect();
-                    return rect.top >= 0 && rect.bottom <= window.innerHeight;
-                });
-
-                if (!buttonVisible) {
-                    console.log('Load more button not found or not visible');
-                    break;
-                }
-
-                await mainPage.evaluate(() => {
-                    const button = document.querySelector('.search-listings-module_load-more_OwyvW');
-                    if (button) button.click();
-                });
-                
-                console.log('Clicked load more button');
-                await delay(2000);
-                
-                if (currentProductCount === previousProductCount) {
-                    attemptCount++;
-                    if (attemptCount >= maxAttempts) {
-                        console.log('No new products loaded after multiple attempts. Stopping.');
-                        break;
-                    }
-                } else {
-                    attemptCount = 0;
-                }
-
-                previousProductCount = currentProductCount;
-
-            } catch (err) {
-                console.log('Error while loading more products:', err.message);
-                break;
-            }
-        }
+app.get('/jobs/:id', findJob, (req, res) => {
+    res.json(jobQueue.toJSON(req.job));
+});
+
+// SSE endpoint for a single job: unnamed events carry the job itself, 'product'
+// events each finished product and 'phase' events the scrape's phases. Products
+// found before the client connected are sent first.
+app.get('/jobs/:id/progress', findJob, (req, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
 
-        updateProgress(50);
-        console.log('Extracting product data...');
-        
-        const baseUrl = await mainPage.evaluate(() => window.location.origin);
-        const products = await mainPage.evaluate((baseUrl) => {
-            const items = [];
-            
-            document.querySelectorAll('article.product-card-module_product-card_fdqa8').forEach(article => {
-                try {
-                    const linkElement = article.querySelector('a.product-card-module_link-underlay_3sfaA');
-                    const contentElement = article.querySelector('.grid-y.gap-2.product-card-module_product-card-content_1LFYj');
-                    
-                    if (linkElement && contentElement) {
-                        const href = linkElement.getAttribute('href');
-                        const title = contentElement.querySelector('.product-card-module_product-title_16xh8')?.textContent?.trim() || '';
-                        const price = contentElement.querySelector('.currency')?.textContent?.trim() || '';
-                        const image = contentElement.querySelector('img')?.src || '';
-                        
-                        let listPrice = 'N/A';
-                        const listPriceElement = contentElement.querySelector('.product-card-price-module_list-price_om_3Y .currency');
-                        if (listPriceElement) {
-                            listPrice = listPriceElement.textContent.trim();
-                        }
-                        
-                        const productUrl = href ? `${baseUrl}${href}` : '';
-                        
-                        if (title && productUrl) {
-                            items.push({
-                                Title: title,
-                                Price: price,
-                                'List Price': listPrice,
-                                'Image URL': image,
-                                'Product URL': productUrl
-                            });
-                        }
-                    }
-                } catch (error) {
-                    console.error('Error processing article:', error);
-                }
-            });
-            
-            return items;
-        }, baseUrl);
-
-        updateProgress(70);
-        console.log('Getting seller information concurrently...');
-
-        const BATCH_SIZE = 2;
-        const allProducts = [];
-        const totalBatches = Math.ceil(products.length / BATCH_SIZE);
-        
-        for (let i = 0; i < products.length; i += BATCH_SIZE) {
-            console.log(`Processing batch ${i/BATCH_SIZE + 1}/${totalBatches}`);
-            const batchResults = await processBatch(products, i, BATCH_SIZE, browser);
-            allProducts.push(...batchResults);
-            
-            const batchProgress = Math.min(70 + ((i + BATCH_SIZE) / products.length) * 25, 95);
-            updateProgress(Math.round(batchProgress));
+    const { id } = req.job;
+    sendEvent(res, jobQueue.toJSON(req.job));
+    if (req.job.phase) sendEvent(res, req.job.phase, 'phase');
+    req.job.products.forEach(product => sendEvent(res, product, 'product'));
+    if (jobQueue.isFinished(req.job)) {
+        return res.end();
+    }
+
+    const onUpdate = (job) => {
+        if (job.id !== id) return;
+        sendEvent(res, jobQueue.toJSON(job));
+        if (jobQueue.isFinished(job)) {
+            res.end();
         }
+    };
+    const onProduct = (job, product) => {
+        if (job.id === id) sendEvent(res, product, 'product');
+    };
+    const onPhase = (job, event) => {
+        if (job.id === id) sendEvent(res, event, 'phase');
+    };
+    jobQueue.on('update', onUpdate);
+    jobQueue.on('product', onProduct);
+    jobQueue.on('phase', onPhase);
+
+    // Closing the stream only detaches the listeners; the job keeps running
+    res.on('close', () => {
+        jobQueue.off('update', onUpdate);
+        jobQueue.off('product', onProduct);
+        jobQueue.off('phase', onPhase);
+    });
+});
 
-        const uniqueProducts = [...new Map(allProducts.map(item => 
-            [item.Title + item.Price, item]
-        )).values()];
+app.get('/jobs/:id/result', findJob, (req, res) => {
+    const { job } = req;
+    if (job.status !== 'completed') {
+        return res.status(409).json({ error: `Job is ${job.status}` });
+    }
+    if (!job.resultPath || !fs.existsSync(job.resultPath)) {
+        return res.status(410).json({ error: 'Result file is no longer available' });
+    }
 
-        updateProgress(100);
-        console.log(`Total unique products found: ${uniqueProducts.length}`);
-        return uniqueProducts;
+    sendExport(res, job.resultPath);
+});
 
+// The job's structured run log, one JSON object per line
+app.get('/jobs/:id/log', findJob, (req, res) => {
+    const filepath = jobQueue.logPath(req.job);
+    if (!filepath) {
+        return res.status(404).json({ error: 'No log for this job' });
+    }
+    res.type('application/x-ndjson').sendFile(filepath);
+});
+
+app.delete('/jobs/:id', findJob, (req, res) => {
+    const job = jobQueue.cancel(req.job.id);
+    res.json(jobQueue.toJSON(job));
+});
+
+// Continues a failed or cancelled job from its checkpoint as a new job
+app.post('/jobs/:id/resume', findJob, (req, res) => {
+    if (!jobQueue.isResumable(req.job)) {
+        return res.status(409).json({ error: 'Only failed or cancelled jobs with a checkpoint can be resumed' });
+    }
+    const quotaError = jobQuotaError(req);
+    if (quotaError) {
+        return res.status(429).json({ error: quotaError });
+    }
+    try {
+        const { format, attributes, thumbnails } = req.job;
+        const job = jobQueue.resume(req.job.checkpointId, { format, attributes, thumbnails, owner: jobOwner(req) });
+        res.status(202).json(jobQueue.toJSON(job));
     } catch (err) {
-        console.error('Error during scraping:', err.message);
-        return null;
-    } finally {
-        await browser.close();
+        res.status(410).json({ error: err.message });
+    }
+});
+
+// Checkpoints outlive the in-memory job list, so interrupted runs can be
+// resumed after a server restart too
+app.get('/checkpoints', (req, res) => {
+    res.json(Checkpoint.list().filter(checkpoint => canAccess(req, checkpoint.owner)));
+});
+
+app.post('/checkpoints/:id/resume', asyncHandler(async (req, res) => {
+    const { format = 'xlsx' } = req.body || {};
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+    }
+    let checkpoint;
+    try {
+        checkpoint = Checkpoint.open(req.params.id);
+    } catch (err) {
+        return res.status(404).json({ error: err.message });
+    }
+    if (!canAccess(req, checkpoint.options.owner)) {
+        return res.status(404).json({ error: `No checkpoint found for run ${req.params.id}` });
+    }
+    // Checkpoints written by the CLI never went through the API's URL checks
+    const urlError = await checkScrapeUrls(checkpoint.seeds, checkpoint.options.site);
+    if (urlError) {
+        return res.status(400).json({ error: urlError });
+    }
+    const quotaError = jobQuotaError(req);
+    if (quotaError) {
+        return res.status(429).json({ error: quotaError });
+    }
+    const job = jobQueue.resume(checkpoint.id, { format, owner: jobOwner(req) });
+    res.status(202).json(jobQueue.toJSON(job));
+}));
+
+// Watchlists: named sets of listing URLs scraped on a cron schedule
+function findWatchlist(req, res, next) {
+    const watchlist = store.getWatchlist(Number(req.params.id));
+    if (!watchlist) {
+        return res.status(404).json({ error: 'Watchlist not found' });
     }
+    req.watchlist = watchlist;
+    next();
 }
 
-function exportToExcel(products, url) {
+app.get('/watchlists', (req, res) => {
+    res.json(store.getWatchlists());
+});
+
+app.post('/watchlists', asyncHandler(async (req, res) => {
+    const error = validateWatchlist(req.body) || await checkScrapeUrls(req.body.urls);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    // Its scheduled runs count against this key, which has no room for them now
+    const quotaError = jobQuotaError(req);
+    if (quotaError) {
+        return res.status(429).json({ error: quotaError });
+    }
+
     try {
-        const ws = XLSX.utils.json_to_sheet(products);
-
-        const colWidths = [
-            { wch: 50 }, // Title
-            { wch: 15 }, // Price
-            { wch: 15 }, // List Price
-            { wch: 50 }, // Image URL
-            { wch: 70 }, // Product URL
-            { wch: 30 }, // Seller
-            { wch: 20 }, // Brand
-            { wch: 100 }, // Description
-            { wch: 20 }  // Additional Sellers
-        ];
-        ws['!cols'] = colWidths;
-
-        ws['!rows'] = Array(products.length + 1).fill({ hpt: 100 });
-
-        const wb = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(wb, ws, 'Products');
-
-        const domain = new URL(url).hostname.replace(/[^a-z0-9]/gi, '_');
-        const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
-        const filename = `products_${domain}_${timestamp}.xlsx`;
-        const filepath = path.join(process.cwd(), filename);
-
-        const descriptionCol = XLSX.utils.decode_col('G');
-        const range = XLSX.utils.decode_range(ws['!ref']);
-        for (let R = range.s.r + 1; R <= range.e.r; ++R) {
-            const cell = ws[XLSX.utils.encode_cell({r: R, c: descriptionCol})];
-            if (cell) {
-                if (!cell.s) cell.s = {};
-                cell.s.alignment = { wrapText: true, vertical: 'top' };
-            }
-        }
+        const { name, urls, schedule, enabled } = req.body;
+        const watchlist = store.createWatchlist({ name: name.trim(), urls, schedule, enabled, owner: jobOwner(req) });
+        scheduler.schedule(watchlist);
+        res.status(201).json(watchlist);
+    } catch (err) {
+        if (err.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw err;
+        res.status(409).json({ error: `A watchlist named "${req.body.name}" already exists` });
+    }
+}));
+
+app.get('/watchlists/:id', findWatchlist, (req, res) => {
+    res.json(req.watchlist);
+});
+
+app.put('/watchlists/:id', findWatchlist, asyncHandler(async (req, res) => {
+    const error = validateWatchlist(req.body, { partial: true })
+        || (req.body.urls !== undefined ? await checkScrapeUrls(req.body.urls) : null);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const { name, urls, schedule, enabled } = req.body;
+    const changes = Object.fromEntries(
+        Object.entries({ name: name && name.trim(), urls, schedule, enabled }).filter(([, value]) => value !== undefined)
+    );
 
-        XLSX.writeFile(wb, filepath);
-        console.log(`Excel file saved successfully: ${filepath}`);
-        return filepath;
+    try {
+        const watchlist = store.updateWatchlist(req.watchlist.id, changes);
+        scheduler.schedule(watchlist);
+        res.json(watchlist);
     } catch (err) {
-        console.error('Error exporting to Excel:', err.message);
-        return null;
+        if (err.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw err;
+        res.status(409).json({ error: `A watchlist named "${name}" already exists` });
+    }
+}));
+
+app.delete('/watchlists/:id', findWatchlist, (req, res) => {
+    scheduler.unschedule(req.watchlist.id);
+    store.deleteWatchlist(req.watchlist.id);
+    res.status(204).end();
+});
+
+// Runs a watchlist immediately, outside its schedule
+app.post('/watchlists/:id/run', findWatchlist, (req, res) => {
+    if (scheduler.isRunning(req.watchlist.id)) {
+        return res.status(409).json({ error: 'Watchlist is already running' });
+    }
+    const quotaError = jobQuotaError(req);
+    if (quotaError) {
+        return res.status(429).json({ error: quotaError });
     }
+    scheduler.run(req.watchlist, { owner: jobOwner(req) }).catch(err => {
+        console.error(`Watchlist "${req.watchlist.name}" failed:`, err.message);
+    });
+    res.status(202).json({ status: 'started' });
+});
+
+app.get('/watchlists/:id/runs', findWatchlist, (req, res) => {
+    res.json(store.getWatchlistRuns(req.watchlist.id));
+});
+
+// Alert rules and their webhook delivery log
+function findAlertRule(req, res, next) {
+    const rule = store.getAlertRule(Number(req.params.id));
+    if (!rule) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    req.rule = rule;
+    next();
 }
 
-// Routes
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+app.get('/alerts/rules', (req, res) => {
+    res.json(store.getAlertRules());
 });
 
-app.post('/scrape', async (req, res) => {
-    try {
-        const { url } = req.body;
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
+app.post('/alerts/rules', asyncHandler(async (req, res) => {
+    const error = validateRule(req.body) || await checkWebhookUrl(req.body.webhookUrl);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const { name, type, params, webhookUrl, enabled } = req.body;
+    res.status(201).json(store.createAlertRule({ name: name.trim(), type, params, webhookUrl, enabled }));
+}));
+
+app.put('/alerts/rules/:id', findAlertRule, asyncHandler(async (req, res) => {
+    const next = { ...req.rule, ...req.body };
+    const error = validateRule(next) || await checkWebhookUrl(next.webhookUrl);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const { name, type, params, webhookUrl, enabled } = next;
+    res.json(store.updateAlertRule(req.rule.id, { name: name.trim(), type, params, webhookUrl, enabled: Boolean(enabled) }));
+}));
+
+app.delete('/alerts/rules/:id', findAlertRule, (req, res) => {
+    store.deleteAlertRule(req.rule.id);
+    res.status(204).end();
+});
+
+// Sends a sample payload so a webhook receiver can be checked without waiting for a scrape
+app.post('/alerts/rules/:id/test', findAlertRule, asyncHandler(async (req, res) => {
+    const { rule } = req;
+    const result = await alertDispatcher.deliver(rule, {
+        event: 'test',
+        rule: { id: rule.id, name: rule.name, type: rule.type, params: rule.params },
+        runId: null,
+        url: null,
+        matches: [],
+        triggeredAt: new Date().toISOString()
+    });
+    res.status(result.status === 'delivered' ? 200 : 502).json(result);
+}));
+
+app.get('/alerts/deliveries', (req, res) => {
+    const { error, limit } = parseLimit(req.query, 100);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.json(store.getAlertDeliveries(limit));
+});
+
+// Stored runs, newest first, e.g. for the dashboard's run history
+app.get('/runs', (req, res) => {
+    const { error, limit, offset } = parsePage(req.query, 50);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const viewer = runViewer(req);
+    res.json({ total: store.countRuns(viewer), limit, offset, runs: store.getRuns(limit, offset, viewer) });
+});
+
+function findRun(req, res, next) {
+    const run = /^\d+$/.test(req.params.id) ? store.getRun(Number(req.params.id)) : null;
+    if (!run || !canAccessRun(req, run)) {
+        return res.status(404).json({ error: 'Run not found' });
+    }
+    req.run = run;
+    next();
+}
+
+app.get('/runs/:id', findRun, (req, res) => {
+    res.json(req.run);
+});
+
+// e.g. /runs/5/products?seller=Acme&minDiscount=10&sort=-discount&limit=20&offset=40
+app.get('/runs/:id/products', findRun, (req, res) => {
+    const { error, query } = parseProductQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const { total, products } = store.queryRunProducts(req.run.id, query);
+    res.json({ run: req.run, total, limit: query.limit, offset: query.offset, products });
+});
+
+/**
+ * Exports products of a job (`jobId`) or stored run (`runId`) in any format,
+ * optionally only those whose URL is in `productUrls`, e.g. the rows left
+ * visible by the dashboard's filters. Only the main file is sent; formats
+ * that write reviews or offers to sidecar files leave those out.
+ */
+app.post('/export', asyncHandler(async (req, res) => {
+    const { jobId, runId, productUrls, format = 'xlsx', attributes = [] } = req.body || {};
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+    }
+    if (productUrls !== undefined && (!Array.isArray(productUrls) || productUrls.some(url => typeof url !== 'string'))) {
+        return res.status(400).json({ error: 'productUrls must be an array of product URLs' });
+    }
+    if (!Array.isArray(attributes) || attributes.some(name => typeof name !== 'string')) {
+        return res.status(400).json({ error: 'attributes must be an array of attribute names' });
+    }
+
+    let products;
+    let url;
+    if (jobId !== undefined) {
+        const job = jobQueue.get(jobId);
+        if (!job || !canAccess(req, job.owner)) {
+            return res.status(404).json({ error: 'Job not found' });
         }
+        // Finished jobs no longer hold their products, but their stored run does
+        products = job.runId ? store.getRunProducts(job.runId) : job.products;
+        ({ url } = job);
+    } else if (runId !== undefined) {
+        const run = store.getRun(Number(runId));
+        if (!run || !canAccessRun(req, run)) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        products = store.getRunProducts(run.id);
+        ({ url } = run);
+    } else {
+        return res.status(400).json({ error: 'jobId or runId is required' });
+    }
+    if (productUrls) {
+        const wanted = new Set(productUrls);
+        products = products.filter(product => wanted.has(product.productUrl));
+    }
+    if (products.length === 0) {
+        return res.status(404).json({ error: 'No products to export' });
+    }
 
-        console.log('Starting to scrape:', url);
-        const products = await getAllProducts(url);
-        
-        if (!products || products.length === 0) {
-            return res.status(404).json({ error: 'No products found' });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-export-'));
+    const removeDir = () => fs.rmSync(dir, { recursive: true, force: true });
+    const filepath = await exportProducts(products, url, { format, outputDir: dir, attributes });
+    if (!filepath) {
+        removeDir();
+        return res.status(500).json({ error: `Failed to create ${format} file` });
+    }
+    sendExport(res, filepath, removeDir);
+}));
+
+// Compares two stored runs, e.g. /diff?before=3&after=5
+app.get('/diff', (req, res) => {
+    const { before, after } = req.query;
+    if (!/^\d+$/.test(before || '') || !/^\d+$/.test(after || '')) {
+        return res.status(400).json({ error: 'Numeric before and after run IDs are required' });
+    }
+    const hidden = [before, after].find(runId => {
+        const run = store.getRun(Number(runId));
+        return run && !canAccessRun(req, run);
+    });
+    if (hidden) {
+        return res.status(404).json({ error: `Run ${hidden} not found` });
+    }
+
+    try {
+        const report = diffProducts(loadProducts(before, store), loadProducts(after, store));
+        res.json({ before: Number(before), after: Number(after), ...report });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Archived images that appear on more than one product, e.g. sellers reusing each other's photos
+app.get('/images/reused', (req, res) => {
+    const { error, limit } = parseLimit(req.query, 100);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.json(store.getReusedImages(limit, runViewer(req)));
+});
+
+// Every observation of a product across runs, oldest first, e.g. /products/PLID123/history
+app.get('/products/:id/history', (req, res) => {
+    const product = store.getProduct(req.params.id.toUpperCase());
+    const observations = product ? store.getHistory(product.productId, runViewer(req)) : [];
+    // Products only other keys' runs have seen do not exist for this one
+    if (observations.length === 0) {
+        return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json({ product, observations });
+});
+
+// Reviews collected by runs with reviews enabled, e.g. /products/PLID123/reviews?limit=20
+app.get('/products/:id/reviews', (req, res) => {
+    const { error, limit } = parseLimit(req.query, 100);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.json(store.getProductReviews(req.params.id.toUpperCase(), limit, runViewer(req)));
+});
+
+// Machine-readable description of the API above
+app.get('/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+});
+
+// Prometheus scrape target: page, retry and field counters, phase timings and job counts
+app.get('/metrics', (req, res) => {
+    res.type(CONTENT_TYPE).send(registry.render());
+});
+
+// Synchronous variant kept for existing clients: waits for the job and streams the file back
+app.post('/scrape', asyncHandler(async (req, res) => {
+    try {
+        const { error, urls, options } = await parseScrapeRequest(req.body);
+        if (error) {
+            return res.status(400).json({ error });
         }
+        const quotaError = jobQuotaError(req);
+        if (quotaError) {
+            return res.status(429).json({ error: quotaError });
+        }
+
+        console.log('Starting to scrape:', urls.join(', '));
+        const job = await jobQueue.wait(jobQueue.create(urls, { ...options, owner: jobOwner(req) }).id);
 
-        const excelFile = exportToExcel(products, url);
-        if (!excelFile) {
-            return res.status(500).json({ error: 'Failed to create Excel file' });
+        if (job.status !== 'completed') {
+            const status = job.error === 'No products found' ? 404 : 500;
+            return res.status(status).json({ error: job.error || 'Scraping failed' });
         }
 
-        res.download(excelFile, (err) => {
-            if (err) {
-                res.status(500).json({ error: 'Failed to send file' });
-            }
-            // Delete the file after sending
-            if (fs.existsSync(excelFile)) {
-                fs.unlinkSync(excelFile);
-            }
-        });
+        sendExport(res, job.resultPath);
 
     } catch (error) {
         console.error('Scraping error:', error);
         res.status(500).json({ error: 'Scraping failed' });
     }
+}));
+
+// Errors thrown by handlers; body-parser marks the ones safe to show (e.g. malformed JSON)
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    if (!err.expose) {
+        console.error(`${req.method} ${req.path} failed:`, err);
+    }
+    res.status(err.status || 500).json({ error: err.expose ? err.message : 'Internal server error' });
 });
 
 // Start server
@@ -0,0 +1,167 @@
+const axios = require('axios');
+const { setTimeout: delay } = require('timers/promises');
+const { checkWebhookUrl, publicLookup } = require('./safeurl');
+
+const isSet = value => value !== null && value !== undefined;
+
+// Threshold rules fire when `field` goes past the threshold, not on every run it stays there
+function crossed(product, previous, field, isPast) {
+    if (!isSet(product[field]) || !isPast(product[field])) return false;
+    return !previous || !isSet(previous[field]) || !isPast(previous[field]);
+}
+
+// Each rule type decides whether a product (and its previous observation) matches
+const RULE_TYPES = {
+    price_below: {
+        validate: params => typeof params.price === 'number' || 'params.price must be a number',
+        matches: (product, previous, params) => crossed(product, previous, 'price', price => price < params.price)
+    },
+    discount_above: {
+        validate: params => typeof params.percent === 'number' || 'params.percent must be a number',
+        matches: (product, previous, params) => crossed(product, previous, 'discount', discount => discount > params.percent)
+    },
+    seller_changed: {
+        validate: params => params.from === undefined || typeof params.from === 'string' || 'params.from must be a string',
+        matches: (product, previous, params) => {
+            if (!previous || !previous.seller || !product.seller || previous.seller === product.seller) return false;
+            return !params.from || previous.seller.toLowerCase() === params.from.toLowerCase();
+        }
+    },
+    additional_sellers_above: {
+        validate: params => typeof params.count === 'number' || 'params.count must be a number',
+        matches: (product, previous, params) => crossed(product, previous, 'additionalSellers', count => count > params.count)
+    }
+};
+
+/**
+ * Validates an alert rule payload. Returns an error message, or null when valid.
+ */
+function validateRule({ name, type, params = {}, webhookUrl }) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+    if (!RULE_TYPES[type]) return `type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`;
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) return 'params must be an object';
+
+    const paramsValid = RULE_TYPES[type].validate(params);
+    if (paramsValid !== true) return paramsValid;
+
+    try {
+        const { protocol } = new URL(webhookUrl);
+        if (protocol !== 'http:' && protocol !== 'https:') return 'webhookUrl must be an http(s) URL';
+    } catch (err) {
+        return 'webhookUrl must be a valid URL';
+    }
+    return null;
+}
+
+function summarizeProduct(product) {
+    if (!product) return null;
+    const { description, errors, ...summary } = product;
+    return summary;
+}
+
+/**
+ * Evaluates every enabled rule against a run's products. Returns one event per
+ * rule that matched at least one product.
+ */
+function evaluateRules(rules, products, previousProducts = []) {
+    const previousById = new Map(previousProducts.map(product => [product.productId, product]));
+    const events = [];
+
+    for (const rule of rules) {
+        if (!rule.enabled) continue;
+
+        const matches = [];
+        for (const product of products) {
+            const previous = previousById.get(product.productId) || null;
+            if (RULE_TYPES[rule.type].matches(product, previous, rule.params)) {
+                matches.push({ product: summarizeProduct(product), previous: summarizeProduct(previous) });
+            }
+        }
+
+        if (matches.length > 0) {
+            events.push({ rule, matches });
+        }
+    }
+    return events;
+}
+
+/**
+ * POSTs alert events to their rule's webhook, retrying with exponential
+ * backoff, and records every delivery in the store. The webhook URL is
+ * checked again on every delivery (rules may predate the check, and hosts
+ * change their DNS); redirects are not followed.
+ */
+class AlertDispatcher {
+    constructor({ store, maxAttempts = 3, retryDelay = 1000, timeout = 10000 }) {
+        this.store = store;
+        this.maxAttempts = maxAttempts;
+        this.retryDelay = retryDelay;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Evaluates the stored rules for a finished run and delivers any matches.
+     */
+    async processRun(runId, url, products, previousProducts) {
+        const events = evaluateRules(this.store.getAlertRules(), products, previousProducts);
+        return Promise.all(events.map(event => this.deliver(event.rule, {
+            event: 'alert',
+            rule: { id: event.rule.id, name: event.rule.name, type: event.rule.type, params: event.rule.params },
+            runId,
+            url,
+            matches: event.matches,
+            triggeredAt: new Date().toISOString()
+        })));
+    }
+
+    async deliver(rule, payload) {
+        const deliveryId = this.store.createAlertDelivery(rule.id, payload.runId, rule.webhookUrl, payload);
+        let lastError = null;
+        let responseStatus = null;
+
+        const refused = await checkWebhookUrl(rule.webhookUrl);
+        if (refused) {
+            console.error(`Webhook delivery ${deliveryId} refused:`, refused);
+            this.store.finishAlertDelivery(deliveryId, { status: 'failed', attempts: 0, error: refused });
+            return { deliveryId, status: 'failed' };
+        }
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            try {
+                const response = await axios.post(rule.webhookUrl, payload, {
+                    timeout: this.timeout,
+                    maxRedirects: 0,
+                    lookup: publicLookup
+                });
+                this.store.finishAlertDelivery(deliveryId, {
+                    status: 'delivered',
+                    attempts: attempt,
+                    responseStatus: response.status
+                });
+                return { deliveryId, status: 'delivered' };
+            } catch (err) {
+                lastError = err.message;
+                responseStatus = err.response ? err.response.status : null;
+                console.error(`Webhook delivery ${deliveryId} attempt ${attempt} failed:`, err.message);
+                if (attempt < this.maxAttempts) {
+                    await delay(this.retryDelay * 2 ** (attempt - 1));
+                }
+            }
+        }
+
+        this.store.finishAlertDelivery(deliveryId, {
+            status: 'failed',
+            attempts: this.maxAttempts,
+            responseStatus,
+            error: lastError
+        });
+        return { deliveryId, status: 'failed' };
+    }
+}
+
+module.exports = {
+    RULE_TYPES,
+    validateRule,
+    evaluateRules,
+    AlertDispatcher
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Limits of keys that set none of their own
+const DEFAULT_LIMITS = {
+    // Requests per minute, with bursts of up to this many at once
+    requestsPerMinute: 60,
+    // Scrape jobs queued or running at the same time
+    maxConcurrentJobs: 2
+};
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Reads API keys from a JSON file holding an array of
+ * `{ name, key, requestsPerMinute?, maxConcurrentJobs? }`. Throws when the
+ * file is malformed, so a typo cannot silently leave the API open.
+ */
+function loadApiKeys(filepath) {
+    const entries = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    if (!Array.isArray(entries)) {
+        throw new Error(`${filepath} must hold an array of API keys`);
+    }
+    const names = new Set();
+    for (const entry of entries) {
+        if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+            throw new Error(`Every API key in ${filepath} needs a name`);
+        }
+        if (names.has(entry.name)) {
+            throw new Error(`API key name "${entry.name}" is used twice in ${filepath}`);
+        }
+        names.add(entry.name);
+        if (typeof entry.key !== 'string' || entry.key.length < 16) {
+            throw new Error(`API key "${entry.name}" must be a string of at least 16 characters`);
+        }
+        for (const limit of Object.keys(DEFAULT_LIMITS)) {
+            if (entry[limit] !== undefined && !isPositiveInteger(entry[limit])) {
+                throw new Error(`${limit} of API key "${entry.name}" must be a positive integer`);
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * API keys with a token-bucket rate limit each. Keys are looked up by hash,
+ * so lookups take the same time whatever the key presented.
+ */
+class ApiKeys {
+    constructor(entries = []) {
+        this.keys = new Map(entries.map(entry => [hashKey(entry.key), {
+            name: entry.name,
+            requestsPerMinute: entry.requestsPerMinute || DEFAULT_LIMITS.requestsPerMinute,
+            maxConcurrentJobs: entry.maxConcurrentJobs || DEFAULT_LIMITS.maxConcurrentJobs
+        }]));
+        this.buckets = new Map();
+    }
+
+    get enabled() {
+        return this.keys.size > 0;
+    }
+
+    /**
+     * The key entry `{ name, requestsPerMinute, maxConcurrentJobs }` for a
+     * presented key, or null.
+     */
+    find(key) {
+        return key ? this.keys.get(hashKey(key)) || null : null;
+    }
+
+    /**
+     * The key entry named `name`, or null, e.g. for work a key scheduled
+     * earlier.
+     */
+    byName(name) {
+        return [...this.keys.values()].find(entry => entry.name === name) || null;
+    }
+
+    /**
+     * Takes one request from the key's bucket. Returns the requests left and,
+     * when none was left to take, how many seconds until the next one is.
+     */
+    take(entry, now = Date.now()) {
+        const capacity = entry.requestsPerMinute;
+        const perMs = capacity / 60000;
+        const bucket = this.buckets.get(entry.name) || { tokens: capacity, updatedAt: now };
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * perMs);
+        bucket.updatedAt = now;
+        this.buckets.set(entry.name, bucket);
+
+        if (bucket.tokens < 1) {
+            return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / perMs / 1000) };
+        }
+        bucket.tokens -= 1;
+        return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+}
+
+/**
+ * The key a request presents: an `Authorization: Bearer` or `X-API-Key`
+ * header, or the `api_key` query parameter for clients that cannot set
+ * headers (EventSource, download links).
+ */
+function requestKey(req) {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (bearer) return bearer[1];
+    if (req.get('X-API-Key')) return req.get('X-API-Key');
+    return typeof req.query.api_key === 'string' ? req.query.api_key : null;
+}
+
+function isLoopback(address) {
+    return /^(127\.|::1$|::ffff:127\.)/.test(address || '');
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    loadApiKeys,
+    ApiKeys,
+    requestKey,
+    isLoopback
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CHECKPOINT_DIR = path.join(process.cwd(), 'data', 'checkpoints');
+const ID_PATTERN = /^[\w-]+$/;
+
+function checkpointRoot(rootDir) {
+    return rootDir || process.env.CHECKPOINT_DIR || DEFAULT_CHECKPOINT_DIR;
+}
+
+/**
+ * A sortable run ID such as 20241030123241-a1b2c3. A checkpointed run keeps
+ * the ID of its checkpoint, so resuming it continues the same run log.
+ */
+function createRunId() {
+    const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Write-then-rename so a crash never leaves a half-written JSON file behind
+function writeJsonAtomic(filepath, data) {
+    const tmp = `${filepath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, filepath);
+}
+
+function warnUnreadable(id, err) {
+    console.warn(`Skipping unreadable checkpoint ${id}: ${err.message}`);
+}
+
+/**
+ * On-disk progress of one crawl: its seed URLs and settings, the discovered
+ * listing cards and every product enriched so far. Products are appended one
+ * JSON line at a time so a crash loses at most the line being written.
+ */
+class Checkpoint {
+    constructor(dir, state) {
+        this.dir = dir;
+        this.id = state.id;
+        this.seeds = state.seeds;
+        this.options = state.options;
+        this.createdAt = state.createdAt;
+    }
+
+    static create(seeds, options = {}, { rootDir } = {}) {
+        const id = createRunId();
+        const dir = path.join(checkpointRoot(rootDir), id);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const state = { id, seeds, options, createdAt: new Date().toISOString() };
+        writeJsonAtomic(path.join(dir, 'run.json'), state);
+        return new Checkpoint(dir, state);
+    }
+
+    /**
+     * Opens an existing checkpoint. Throws when there is none with that ID or
+     * its run.json cannot be read.
+     */
+    static open(id, { rootDir } = {}) {
+        const dir = path.join(checkpointRoot(rootDir), String(id));
+        if (!ID_PATTERN.test(String(id)) || !fs.existsSync(path.join(dir, 'run.json'))) {
+            throw new Error(`No checkpoint found for run ${id}`);
+        }
+        const state = JSON.parse(fs.readFileSync(path.join(dir, 'run.json'), 'utf8'));
+        if (!state || !Array.isArray(state.seeds) || typeof state.createdAt !== 'string') {
+            throw new Error(`Checkpoint ${id} is incomplete`);
+        }
+        return new Checkpoint(dir, { options: {}, ...state });
+    }
+
+    /**
+     * Summaries of every checkpoint on disk, newest first. Checkpoints that
+     * cannot be read are left out and passed to `onUnreadable(id, err)`,
+     * which warns on the console by default.
+     */
+    static list({ rootDir, onUnreadable = warnUnreadable } = {}) {
+        const root = checkpointRoot(rootDir);
+        if (!fs.existsSync(root)) return [];
+
+        const summaries = [];
+        for (const id of fs.readdirSync(root)) {
+            if (!ID_PATTERN.test(id) || !fs.existsSync(path.join(root, id, 'run.json'))) continue;
+            try {
+                summaries.push(Checkpoint.open(id, { rootDir: root }).summary());
+            } catch (err) {
+                onUnreadable(id, err);
+            }
+        }
+        return summaries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    summary() {
+        const listings = this.loadListings();
+        return {
+            id: this.id,
+            seeds: this.seeds,
+            owner: this.options.owner || null,
+            createdAt: this.createdAt,
+            listingCount: listings ? listings.length : null,
+            completedCount: this.loadProducts().size
+        };
+    }
+
+    /**
+     * The listing cards discovered by the run, or null if it never got that far.
+     */
+    loadListings() {
+        const filepath = path.join(this.dir, 'listings.json');
+        return fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : null;
+    }
+
+    saveListings(listings) {
+        writeJsonAtomic(path.join(this.dir, 'listings.json'), listings);
+    }
+
+    /**
+     * Enriched products keyed by product URL.
+     */
+    loadProducts() {
+        const filepath = path.join(this.dir, 'products.ndjson');
+        const products = new Map();
+        if (!fs.existsSync(filepath)) return products;
+
+        for (const line of fs.readFileSync(filepath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const product = JSON.parse(line);
+                products.set(product.productUrl, product);
+            } catch (err) {
+                // A line cut short by a crash; that product is simply fetched again
+            }
+        }
+        return products;
+    }
+
+    addProduct(product) {
+        fs.appendFileSync(path.join(this.dir, 'products.ndjson'), JSON.stringify(product) + '\n');
+    }
+
+    remove() {
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = { DEFAULT_CHECKPOINT_DIR, ID_PATTERN, createRunId, Checkpoint };
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Looked up in the working directory when no config file is named
+const CONFIG_FILES = ['scraper.config.json', 'scraper.config.yaml', 'scraper.config.yml'];
+
+// Every setting a config file may hold, with its type
+const CONFIG_KEYS = {
+    seeds: 'array',
+    site: 'string',
+    mode: 'string',
+    format: 'string',
+    output: 'path',
+    headless: 'boolean',
+    concurrency: 'integer',
+    retries: 'integer',
+    navigationTimeout: 'integer',
+    productTimeout: 'integer',
+    maxProducts: 'integer',
+    maxPages: 'integer',
+    reviews: 'boolean',
+    maxReviews: 'integer',
+    attributes: 'array',
+    downloadImages: 'boolean',
+    imageDir: 'path',
+    thumbnails: 'boolean',
+    store: 'boolean',
+    logLevel: 'string'
+};
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    path: value => typeof value === 'string',
+    boolean: value => typeof value === 'boolean',
+    integer: value => Number.isInteger(value) && value >= 0,
+    array: value => Array.isArray(value) && value.every(item => typeof item === 'string')
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    path: 'a string',
+    boolean: 'true or false',
+    integer: 'a whole number',
+    array: 'a list of strings'
+};
+
+function findConfigFile(dir = process.cwd()) {
+    return CONFIG_FILES.map(name => path.join(dir, name)).find(filepath => fs.existsSync(filepath)) || null;
+}
+
+/**
+ * Reads a JSON or YAML file of CLI defaults, keyed like the scrape options
+ * (e.g. `maxProducts: 200`). Relative paths in it are resolved against the
+ * file's directory. Throws when the file cannot be parsed or holds unknown
+ * keys or values of the wrong type.
+ */
+function loadConfig(filepath) {
+    const text = fs.readFileSync(filepath, 'utf8');
+    let config;
+    try {
+        config = /\.ya?ml$/i.test(filepath) ? YAML.parse(text) : JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Could not parse ${filepath}: ${err.message}`);
+    }
+    if (config === null || config === undefined) return {};
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`${filepath} must hold an object of settings`);
+    }
+
+    const problems = [];
+    Object.entries(config).forEach(([key, value]) => {
+        const type = CONFIG_KEYS[key];
+        if (!type) {
+            problems.push(`unknown setting "${key}"`);
+        } else if (!TYPE_CHECKS[type](value)) {
+            problems.push(`${key} must be ${TYPE_NAMES[type]}`);
+        } else if (type === 'path') {
+            config[key] = path.resolve(path.dirname(filepath), value);
+        }
+    });
+    if (problems.length > 0) {
+        throw new Error(`Invalid config ${filepath}:\n  ${problems.join('\n  ')}`);
+    }
+    return config;
+}
+
+module.exports = {
+    CONFIG_FILES,
+    CONFIG_KEYS,
+    findConfigFile,
+    loadConfig
+};
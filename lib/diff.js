@@ -0,0 +1,112 @@
+const { parseProductId } = require('./product');
+const path = require('path');
+const { getExporter } = require('./exporters');
+
+// Fields compared between runs, keyed by the change type reported for them
+const TRACKED_FIELDS = {
+    price: 'price',
+    seller: 'seller',
+    offers: 'additionalSellers'
+};
+
+function normalize(value) {
+    return value === undefined || value === '' ? null : value;
+}
+
+function productKey(product) {
+    return product.productId || parseProductId(product.productUrl) || product.productUrl;
+}
+
+// Fields a scrape could not read; they are null for lack of data, not because they changed
+function failedFields(product) {
+    return new Set((product.errors || []).map(error => error.field));
+}
+
+function indexProducts(products) {
+    const index = new Map();
+    for (const product of products) {
+        const key = productKey(product);
+        if (key) index.set(key, product);
+    }
+    return index;
+}
+
+function change(type, productId, product, before = null, after = null) {
+    return {
+        type,
+        productId,
+        title: product.title,
+        productUrl: product.productUrl,
+        before,
+        after
+    };
+}
+
+/**
+ * Compares two scrape results and lists products that appeared, disappeared,
+ * or changed price, seller or number of offers. Products are matched by
+ * product ID, falling back to the product URL. Fields either side failed to
+ * read (listed in its `errors`) are not compared.
+ */
+function diffProducts(beforeProducts, afterProducts) {
+    const before = indexProducts(beforeProducts);
+    const after = indexProducts(afterProducts);
+    const changes = [];
+
+    for (const [key, product] of after) {
+        const previous = before.get(key);
+        if (!previous) {
+            changes.push(change('added', key, product, null, product.price));
+            continue;
+        }
+
+        const failed = new Set([...failedFields(previous), ...failedFields(product)]);
+        for (const [type, field] of Object.entries(TRACKED_FIELDS)) {
+            if (failed.has(field)) continue;
+            const oldValue = normalize(previous[field]);
+            const newValue = normalize(product[field]);
+            if (oldValue !== newValue) {
+                changes.push(change(type, key, product, oldValue, newValue));
+            }
+        }
+    }
+
+    for (const [key, product] of before) {
+        if (!after.has(key)) {
+            changes.push(change('removed', key, product, product.price, null));
+        }
+    }
+
+    const summary = { added: 0, removed: 0, price: 0, seller: 0, offers: 0 };
+    changes.forEach(({ type }) => summary[type]++);
+
+    return { summary, changes };
+}
+
+// Exports that can be read back, by file extension
+const READABLE_FORMATS = ['xlsx', 'json', 'ndjson'];
+
+/**
+ * Loads a scrape result from either a stored run ("run:<id>" or a bare
+ * numeric ID) or a previously exported xlsx, JSON or NDJSON file.
+ */
+function loadProducts(source, store) {
+    const runMatch = String(source).match(/^(?:run:)?(\d+)$/);
+    if (runMatch) {
+        if (!store) throw new Error('A product store is required to load stored runs');
+        const runId = Number(runMatch[1]);
+        if (!store.getRun(runId)) throw new Error(`Run ${runId} not found`);
+        return store.getRunProducts(runId);
+    }
+
+    const format = path.extname(String(source)).slice(1).toLowerCase();
+    if (!READABLE_FORMATS.includes(format)) {
+        throw new Error(`Cannot read products from ${source}; use a run ID or an ${READABLE_FORMATS.join(', ')} file`);
+    }
+    return getExporter(format).readProducts(source);
+}
+
+module.exports = {
+    diffProducts,
+    loadProducts
+};
@@ -0,0 +1,38 @@
+/**
+ * Returns the union of product keys in first-seen order, so rows with
+ * missing fields still line up under the right header.
+ */
+function collectColumns(products) {
+    const columns = new Set();
+    products.forEach(product => Object.keys(product).forEach(key => columns.add(key)));
+    return [...columns];
+}
+
+// "Colour" -> "attributes.Colour"
+function attributeColumn(name) {
+    return `attributes.${name}`;
+}
+
+/**
+ * Copies the named spec-table attributes into top-level keys (see
+ * attributeColumn) so tabular formats get one column per attribute. Names
+ * match case-insensitively; products without the attribute get null.
+ */
+function flattenAttributes(products, names = []) {
+    if (names.length === 0) return products;
+    return products.map(product => {
+        const attributes = product.attributes || {};
+        const flat = { ...product };
+        names.forEach(name => {
+            const key = Object.keys(attributes).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+            flat[attributeColumn(name)] = key ? attributes[key] : null;
+        });
+        return flat;
+    });
+}
+
+module.exports = {
+    collectColumns,
+    attributeColumn,
+    flattenAttributes
+};
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const { collectColumns } = require('./columns');
+const { offerRows, variantRows, imageFileRows, reviewRows, withoutNested, sidecarPath } = require('./sidecars');
+
+// RFC 4180 quoting: fields containing quotes, separators or line breaks are
+// wrapped in quotes, with embedded quotes doubled
+function formatField(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(products) {
+    const columns = collectColumns(products);
+    const lines = [columns.map(formatField).join(',')];
+    products.forEach(product => {
+        lines.push(columns.map(column => formatField(product[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Offers, variants, image files and reviews go to sibling files, e.g. products_x.offers.csv
+async function write(products, filepath) {
+    await fs.promises.writeFile(filepath, toCsv(withoutNested(products)), 'utf8');
+    const sidecars = {
+        offers: offerRows(products),
+        variants: variantRows(products),
+        images: imageFileRows(products),
+        reviews: reviewRows(products)
+    };
+    for (const [name, rows] of Object.entries(sidecars)) {
+        if (rows.length > 0) {
+            await fs.promises.writeFile(sidecarPath(filepath, name), toCsv(rows), 'utf8');
+        }
+    }
+}
+
+module.exports = {
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    write,
+    toCsv
+};
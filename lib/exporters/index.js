@@ -0,0 +1,60 @@
+const path = require('path');
+const { flattenAttributes } = require('./columns');
+const { exportFiles } = require('./sidecars');
+
+const EXPORTERS = {
+    xlsx: require('./xlsx'),
+    csv: require('./csv'),
+    json: require('./json'),
+    ndjson: require('./ndjson'),
+    parquet: require('./parquet')
+};
+
+const FORMATS = Object.keys(EXPORTERS);
+
+function getExporter(format) {
+    return EXPORTERS[format] || null;
+}
+
+function buildFilename(url, extension) {
+    const domain = new URL(url).hostname.replace(/[^a-z0-9]/gi, '_');
+    const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+    return `products_${domain}_${timestamp}.${extension}`;
+}
+
+/**
+ * Writes products in the requested format to `filepath`, or to a generated
+ * file name in `outputDir`, and returns the file path, or null on failure.
+ * `attributes` names spec-table attributes to give a column of their own.
+ * Only the xlsx exporter uses `changes` and `thumbnails`.
+ */
+async function exportProducts(products, url, {
+    format = 'xlsx',
+    outputDir = process.cwd(),
+    filepath = null,
+    changes = null,
+    attributes = [],
+    thumbnails = false
+} = {}) {
+    const exporter = getExporter(format);
+    if (!exporter) {
+        throw new Error(`Unsupported export format: ${format}. Use one of: ${FORMATS.join(', ')}`);
+    }
+
+    try {
+        const target = filepath || path.join(outputDir, buildFilename(url, exporter.extension));
+        await exporter.write(flattenAttributes(products, attributes), target, { changes, attributes, thumbnails });
+        console.log(`${format.toUpperCase()} file saved successfully: ${target}`);
+        return target;
+    } catch (err) {
+        console.error(`Error exporting to ${format}:`, err.message);
+        return null;
+    }
+}
+
+module.exports = {
+    FORMATS,
+    getExporter,
+    exportProducts,
+    exportFiles
+};
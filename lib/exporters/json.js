@@ -0,0 +1,30 @@
+const fs = require('fs');
+const { reviewRows, attachReviews, withoutNested, sidecarPath } = require('./sidecars');
+
+// Reviews go to a sibling file, e.g. products_x.reviews.json
+async function write(products, filepath) {
+    await fs.promises.writeFile(filepath, JSON.stringify(withoutNested(products, ['reviews']), null, 2), 'utf8');
+    const reviews = reviewRows(products);
+    if (reviews.length > 0) {
+        await fs.promises.writeFile(sidecarPath(filepath, 'reviews'), JSON.stringify(reviews, null, 2), 'utf8');
+    }
+}
+
+/**
+ * Reads products back from a JSON export, with the reviews of its reviews
+ * file when there is one.
+ */
+function readProducts(filepath) {
+    const products = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    const reviewsPath = sidecarPath(filepath, 'reviews');
+    return fs.existsSync(reviewsPath)
+        ? attachReviews(products, JSON.parse(fs.readFileSync(reviewsPath, 'utf8')))
+        : products;
+}
+
+module.exports = {
+    extension: 'json',
+    contentType: 'application/json',
+    write,
+    readProducts
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const { once } = require('events');
+const { reviewRows, attachReviews, withoutNested, sidecarPath } = require('./sidecars');
+
+/**
+ * Writes one JSON document per line to any writable stream (a file,
+ * an HTTP response or stdout), respecting backpressure.
+ */
+async function writeToStream(products, stream) {
+    for (const product of products) {
+        if (!stream.write(JSON.stringify(product) + '\n')) {
+            await once(stream, 'drain');
+        }
+    }
+}
+
+async function writeFile(rows, filepath) {
+    const stream = fs.createWriteStream(filepath, 'utf8');
+    await writeToStream(rows, stream);
+    stream.end();
+    await once(stream, 'finish');
+}
+
+// Reviews go to a sibling file, e.g. products_x.reviews.ndjson
+async function write(products, filepath) {
+    await writeFile(withoutNested(products, ['reviews']), filepath);
+    const reviews = reviewRows(products);
+    if (reviews.length > 0) {
+        await writeFile(reviews, sidecarPath(filepath, 'reviews'));
+    }
+}
+
+function readLines(filepath) {
+    return fs.readFileSync(filepath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+/**
+ * Reads products back from an NDJSON export (or a stream captured from the
+ * CLI), with the reviews of its reviews file when there is one.
+ */
+function readProducts(filepath) {
+    const products = readLines(filepath);
+    const reviewsPath = sidecarPath(filepath, 'reviews');
+    return fs.existsSync(reviewsPath) ? attachReviews(products, readLines(reviewsPath)) : products;
+}
+
+module.exports = {
+    extension: 'ndjson',
+    contentType: 'application/x-ndjson',
+    write,
+    writeToStream,
+    readProducts
+};
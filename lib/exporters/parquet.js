@@ -0,0 +1,59 @@
+const parquet = require('@dsnp/parquetjs');
+const { collectColumns } = require('./columns');
+const { offerRows, variantRows, imageFileRows, reviewRows, withoutNested, sidecarPath } = require('./sidecars');
+
+// Columns whose values are all numbers or all booleans keep that type;
+// everything else is stored as UTF8, with objects serialised to JSON
+function inferType(rows, column) {
+    const values = rows.map(row => row[column]).filter(value => value !== undefined && value !== null);
+    if (values.length > 0 && values.every(value => typeof value === 'number')) return 'DOUBLE';
+    if (values.length > 0 && values.every(value => typeof value === 'boolean')) return 'BOOLEAN';
+    return 'UTF8';
+}
+
+function toCell(value, type) {
+    if (value === undefined || value === null) return null;
+    if (type !== 'UTF8') return value;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+async function writeRows(rows, filepath) {
+    const columns = collectColumns(rows);
+    const types = Object.fromEntries(columns.map(column => [column, inferType(rows, column)]));
+    const schema = new parquet.ParquetSchema(Object.fromEntries(
+        columns.map(column => [column, { type: types[column], optional: true }])
+    ));
+
+    const writer = await parquet.ParquetWriter.openFile(schema, filepath);
+    try {
+        for (const row of rows) {
+            await writer.appendRow(Object.fromEntries(
+                columns.map(column => [column, toCell(row[column], types[column])])
+            ));
+        }
+    } finally {
+        await writer.close();
+    }
+}
+
+// Offers, variants, image files and reviews go to sibling files, e.g. products_x.offers.parquet
+async function write(products, filepath) {
+    await writeRows(withoutNested(products), filepath);
+    const sidecars = {
+        offers: offerRows(products),
+        variants: variantRows(products),
+        images: imageFileRows(products),
+        reviews: reviewRows(products)
+    };
+    for (const [name, rows] of Object.entries(sidecars)) {
+        if (rows.length > 0) {
+            await writeRows(rows, sidecarPath(filepath, name));
+        }
+    }
+}
+
+module.exports = {
+    extension: 'parquet',
+    contentType: 'application/vnd.apache.parquet',
+    write
+};
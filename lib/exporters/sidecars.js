@@ -0,0 +1,114 @@
+const fs = require('fs');
+
+/**
+ * One row per offer, linked back to its product by `productId`. Used for the
+ * separate offers sheet/table every format except JSON and NDJSON writes;
+ * those keep offers nested in the product.
+ */
+function offerRows(products) {
+    return products.flatMap(product => (product.offers || []).map(offer => ({
+        productId: product.productId,
+        seller: offer.seller,
+        price: offer.price,
+        currency: offer.currency,
+        condition: offer.condition,
+        deliveryEstimate: offer.deliveryEstimate,
+        isBuyBoxWinner: offer.isBuyBoxWinner
+    })));
+}
+
+/**
+ * One row per variant option, linked back to its product by `productId`.
+ * Kept nested in JSON and NDJSON like offers.
+ */
+function variantRows(products) {
+    return products.flatMap(product => (product.variants || []).map(variant => ({
+        productId: product.productId,
+        type: variant.type,
+        value: variant.value,
+        price: variant.price,
+        currency: variant.currency,
+        available: variant.available,
+        productUrl: variant.productUrl
+    })));
+}
+
+/**
+ * One row per archived image file (see lib/images.js), linked back to its
+ * product by `productId`. Kept nested in JSON and NDJSON like offers.
+ */
+function imageFileRows(products) {
+    return products.flatMap(product => (product.imageFiles || []).map(file => ({
+        productId: product.productId,
+        url: file.url,
+        path: file.path,
+        sha256: file.sha256,
+        phash: file.phash,
+        width: file.width,
+        height: file.height
+    })));
+}
+
+/**
+ * One row per review, linked back to its product by `productId`. Reviews
+ * form a separate dataset in every format, JSON and NDJSON included.
+ */
+function reviewRows(products) {
+    return products.flatMap(product => (product.reviews || []).map(review => ({
+        productId: product.productId,
+        author: review.author,
+        date: review.date,
+        rating: review.rating,
+        body: review.body
+    })));
+}
+
+/**
+ * Inverse of reviewRows: puts review rows back on their products, e.g. when
+ * reading an export together with its reviews file.
+ */
+function attachReviews(products, rows) {
+    const byProduct = new Map();
+    rows.forEach(({ productId, ...review }) => {
+        if (!byProduct.has(productId)) byProduct.set(productId, []);
+        byProduct.get(productId).push(review);
+    });
+    return products.map(product => ({ ...product, reviews: byProduct.get(product.productId) || [] }));
+}
+
+// Products without the nested lists that are written as their own tables
+function withoutNested(products, fields = ['offers', 'variants', 'imageFiles', 'reviews']) {
+    return products.map(product => {
+        const flat = { ...product };
+        fields.forEach(field => delete flat[field]);
+        return flat;
+    });
+}
+
+// ("products_x.csv", "offers") -> "products_x.offers.csv"
+function sidecarPath(filepath, name) {
+    return filepath.replace(/(\.[^./\\]+)$/, `.${name}$1`);
+}
+
+// Every sidecar name an exporter may write
+const SIDECAR_NAMES = ['offers', 'variants', 'images', 'reviews'];
+
+/**
+ * The files making up an export: `filepath` followed by whichever sidecars
+ * were written next to it (exporters skip empty ones).
+ */
+function exportFiles(filepath) {
+    const sidecars = SIDECAR_NAMES.map(name => sidecarPath(filepath, name)).filter(file => fs.existsSync(file));
+    return [filepath, ...sidecars];
+}
+
+module.exports = {
+    offerRows,
+    variantRows,
+    imageFileRows,
+    reviewRows,
+    attachReviews,
+    withoutNested,
+    sidecarPath,
+    exportFiles
+};
@@ -0,0 +1,391 @@
+const XLSX = require('xlsx');
+const ExcelJS = require('exceljs');
+const { parsePrice, computeDiscount, parseProductId } = require('../product');
+const { offerRows, variantRows, imageFileRows, reviewRows } = require('./sidecars');
+const { thumbnail } = require('../images');
+const { attributeColumn } = require('./columns');
+
+// Spreadsheet columns in display order. `key` is the product field, `label`
+// the header people see in Excel.
+const COLUMNS = [
+    { key: 'productId', label: 'Product ID', width: 15 },
+    { key: 'title', label: 'Title', width: 50 },
+    { key: 'price', label: 'Price', width: 12 },
+    { key: 'listPrice', label: 'List Price', width: 12 },
+    { key: 'currency', label: 'Currency', width: 10 },
+    { key: 'discount', label: 'Discount %', width: 12 },
+    { key: 'seller', label: 'Seller', width: 30 },
+    { key: 'brand', label: 'Brand', width: 20 },
+    { key: 'categories', label: 'Categories', width: 40 },
+    { key: 'additionalSellers', label: 'Additional Sellers', width: 20 },
+    { key: 'availability', label: 'Availability', width: 15 },
+    { key: 'warranty', label: 'Warranty', width: 20 },
+    { key: 'rating', label: 'Rating', width: 10 },
+    { key: 'reviewCount', label: 'Reviews', width: 10 },
+    { key: 'ratingDistribution', label: 'Rating Distribution', width: 30 },
+    { key: 'gtin', label: 'GTIN', width: 16 },
+    { key: 'sku', label: 'SKU', width: 16 },
+    { key: 'imageUrl', label: 'Image URL', width: 50 },
+    { key: 'productUrl', label: 'Product URL', width: 70 },
+    { key: 'images', label: 'Images', width: 70 },
+    { key: 'attributes', label: 'Attributes', width: 50 },
+    { key: 'description', label: 'Description', width: 100 },
+    { key: 'errors', label: 'Errors', width: 40 }
+];
+
+const OFFER_COLUMNS = [
+    { key: 'productId', label: 'Product ID', width: 15 },
+    { key: 'seller', label: 'Seller', width: 30 },
+    { key: 'price', label: 'Price', width: 12 },
+    { key: 'currency', label: 'Currency', width: 10 },
+    { key: 'condition', label: 'Condition', width: 12 },
+    { key: 'deliveryEstimate', label: 'Delivery', width: 30 },
+    { key: 'isBuyBoxWinner', label: 'Buy Box Winner', width: 15 }
+];
+
+const VARIANT_COLUMNS = [
+    { key: 'productId', label: 'Product ID', width: 15 },
+    { key: 'type', label: 'Type', width: 15 },
+    { key: 'value', label: 'Option', width: 25 },
+    { key: 'price', label: 'Price', width: 12 },
+    { key: 'currency', label: 'Currency', width: 10 },
+    { key: 'available', label: 'Available', width: 10 },
+    { key: 'productUrl', label: 'Product URL', width: 70 }
+];
+
+const IMAGE_FILE_COLUMNS = [
+    { key: 'productId', label: 'Product ID', width: 15 },
+    { key: 'url', label: 'Image URL', width: 70 },
+    { key: 'path', label: 'Local Path', width: 70 },
+    { key: 'sha256', label: 'SHA-256', width: 66 },
+    { key: 'phash', label: 'Perceptual Hash', width: 18 },
+    { key: 'width', label: 'Width', width: 8 },
+    { key: 'height', label: 'Height', width: 8 }
+];
+
+// Pixel size of thumbnails embedded in the Products sheet; fits the 100pt rows
+const THUMBNAIL_SIZE = 96;
+
+const REVIEW_COLUMNS = [
+    { key: 'productId', label: 'Product ID', width: 15 },
+    { key: 'author', label: 'Author', width: 20 },
+    { key: 'date', label: 'Date', width: 12 },
+    { key: 'rating', label: 'Rating', width: 8 },
+    { key: 'body', label: 'Review', width: 100 }
+];
+
+const PRICE_FORMAT = '#,##0.00';
+
+function formatErrors(errors) {
+    if (!errors || errors.length === 0) return null;
+    return errors.map(({ field, message }) => `${field}: ${message}`).join('; ');
+}
+
+// { 1: 0, ..., 5: 12 } -> "5: 12, 4: 3, 3: 0, 2: 0, 1: 1"
+function formatDistribution(distribution) {
+    if (!distribution) return null;
+    return [5, 4, 3, 2, 1].map(stars => `${stars}: ${distribution[stars] || 0}`).join(', ');
+}
+
+// { Colour: 'Red', Size: 'XL' } -> "Colour: Red\nSize: XL"
+function formatAttributes(attributes) {
+    const entries = Object.entries(attributes || {});
+    return entries.length > 0 ? entries.map(([name, value]) => `${name}: ${value}`).join('\n') : null;
+}
+
+function toCell(key, value) {
+    if (key === 'errors') return formatErrors(value);
+    if (key === 'ratingDistribution') return formatDistribution(value);
+    if (key === 'attributes') return formatAttributes(value);
+    if (key === 'categories') return value && value.length > 0 ? value.join(' > ') : null;
+    if (Array.isArray(value)) return value.length > 0 ? value.join('\n') : null;
+    return value;
+}
+
+function toRow(product, columns) {
+    const row = {};
+    columns.forEach(({ key, label }) => {
+        row[label] = toCell(key, product[key]);
+    });
+    return row;
+}
+
+/**
+ * Flattens a diff into rows suitable for a spreadsheet sheet.
+ */
+function changesToRows(changes) {
+    return changes.map(item => ({
+        Change: item.type,
+        'Product ID': item.productId,
+        Title: item.title,
+        Before: item.before,
+        After: item.after,
+        'Product URL': item.productUrl
+    }));
+}
+
+// Adds a sheet of rows keyed by product ID, unless there are none
+function appendTable(wb, name, columns, rows) {
+    if (rows.length === 0) return;
+    const sheet = XLSX.utils.json_to_sheet(
+        rows.map(item => Object.fromEntries(columns.map(({ key, label }) => [label, item[key]]))),
+        { header: columns.map(column => column.label) }
+    );
+    sheet['!cols'] = columns.map(column => ({ wch: column.width }));
+    XLSX.utils.book_append_sheet(wb, sheet, name);
+}
+
+/**
+ * Places the first archived image of each product in the leading Thumbnail
+ * column. SheetJS cannot write pictures, so the saved workbook is reopened
+ * with ExcelJS to add them.
+ */
+async function embedThumbnails(products, filepath) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filepath);
+    const sheet = workbook.getWorksheet('Products');
+
+    for (const [index, product] of products.entries()) {
+        const file = (product.imageFiles || [])[0];
+        if (!file) continue;
+        try {
+            const imageId = workbook.addImage({ buffer: await thumbnail(file.path, THUMBNAIL_SIZE), extension: 'png' });
+            sheet.addImage(imageId, {
+                tl: { col: 0, row: index + 1 },
+                ext: { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE }
+            });
+        } catch (err) {
+            console.error(`Could not embed thumbnail for ${product.productId}:`, err.message);
+        }
+    }
+    await workbook.xlsx.writeFile(filepath);
+}
+
+/**
+ * Spreadsheet export meant for people: wide columns and tall, wrapped
+ * description rows. Prices stay numeric so Excel can sort and sum them.
+ * Offers, variants, archived image files and reviews get sheets of their own
+ * keyed by product ID, and a 'Changes' sheet is added when diff changes are
+ * given. `attributes` names spec-table attributes to append as columns;
+ * `thumbnails` embeds each product's first archived image.
+ */
+async function write(products, filepath, { changes = null, attributes = [], thumbnails = false } = {}) {
+    // Flattened attributes (see exportProducts) follow the fixed columns
+    const columns = [
+        ...(thumbnails ? [{ key: 'thumbnail', label: 'Thumbnail', width: 15 }] : []),
+        ...COLUMNS,
+        ...attributes.map(name => ({ key: attributeColumn(name), label: name, width: 20 }))
+    ];
+    const ws = XLSX.utils.json_to_sheet(products.map(product => toRow(product, columns)), {
+        header: columns.map(column => column.label)
+    });
+
+    ws['!cols'] = columns.map(column => ({ wch: column.width }));
+
+    // Set row height for description column
+    ws['!rows'] = Array(products.length + 1).fill({ hpt: 100 });
+
+    const range = XLSX.utils.decode_range(ws['!ref']);
+    columns.forEach(({ key }, c) => {
+        for (let R = range.s.r + 1; R <= range.e.r; ++R) {
+            const cell = ws[XLSX.utils.encode_cell({r: R, c})];
+            if (!cell) continue;
+
+            if (cell.t === 'n' && (key === 'price' || key === 'listPrice')) {
+                cell.z = PRICE_FORMAT;
+            }
+            // Configure sheet to wrap text in description column
+            if (key === 'description') {
+                if (!cell.s) cell.s = {};
+                cell.s.alignment = { wrapText: true, vertical: 'top' };
+            }
+        }
+    });
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Products');
+
+    appendTable(wb, 'Offers', OFFER_COLUMNS, offerRows(products));
+    appendTable(wb, 'Variants', VARIANT_COLUMNS, variantRows(products));
+    appendTable(wb, 'Image Files', IMAGE_FILE_COLUMNS, imageFileRows(products));
+    appendTable(wb, 'Reviews', REVIEW_COLUMNS, reviewRows(products));
+
+    if (changes) {
+        const changesSheet = XLSX.utils.json_to_sheet(changesToRows(changes));
+        changesSheet['!cols'] = [
+            { wch: 10 }, // Change
+            { wch: 15 }, // Product ID
+            { wch: 50 }, // Title
+            { wch: 20 }, // Before
+            { wch: 20 }, // After
+            { wch: 70 }  // Product URL
+        ];
+        XLSX.utils.book_append_sheet(wb, changesSheet, 'Changes');
+    }
+
+    XLSX.writeFile(wb, filepath);
+    if (thumbnails) await embedThumbnails(products, filepath);
+}
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+    const parsed = parsePrice(value);
+    return parsed ? parsed.amount : null;
+}
+
+function toOfferCount(value) {
+    if (value === 'No additional sellers') return 0;
+    const count = parseInt(value, 10);
+    return Number.isNaN(count) ? null : count;
+}
+
+// Placeholders written into cells by exports made before the typed schema
+// when a field could not be read, e.g. "Error fetching seller"
+const LEGACY_FAILURE = /^(No .* found|Error fetching .*)$/;
+
+function toText(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return LEGACY_FAILURE.test(String(value)) || String(value) === 'N/A' ? null : String(value);
+}
+
+// "price: Unparsable price; seller: No seller found" -> [{ field, message }, ...]
+function parseErrors(value) {
+    const errors = [];
+    String(value || '').split('; ').forEach(part => {
+        const match = part.match(/^(\w+): ([\s\S]*)$/);
+        if (match) errors.push({ field: match[1], message: match[2] });
+        // A message that itself contained "; "
+        else if (part && errors.length > 0) errors[errors.length - 1].message += `; ${part}`;
+    });
+    return errors;
+}
+
+// Legacy placeholders stand for failed reads, so diffs skip those fields
+// instead of reporting them as changed to null
+function legacyErrors(row) {
+    return COLUMNS
+        .filter(({ key, label }) => key !== 'errors' && LEGACY_FAILURE.test(String(row[label] ?? '')))
+        .map(({ key, label }) => ({ field: key, message: String(row[label]) }));
+}
+
+// Rows of a sheet written by appendTable, grouped by product ID
+function readTable(workbook, name, toItem) {
+    const byProduct = new Map();
+    if (!workbook.Sheets[name]) return byProduct;
+    XLSX.utils.sheet_to_json(workbook.Sheets[name]).forEach(row => {
+        const productId = toText(row['Product ID']);
+        if (!byProduct.has(productId)) byProduct.set(productId, []);
+        byProduct.get(productId).push(toItem(row));
+    });
+    return byProduct;
+}
+
+function parseAttributes(value) {
+    const attributes = {};
+    String(value || '').split('\n').forEach(line => {
+        const separator = line.indexOf(': ');
+        if (separator > 0) attributes[line.slice(0, separator)] = line.slice(separator + 2);
+    });
+    return attributes;
+}
+
+function parseDistribution(value) {
+    if (!value) return null;
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const [, stars, count] of String(value).matchAll(/([1-5]):\s*(\d+)/g)) {
+        distribution[stars] = Number(count);
+    }
+    return distribution;
+}
+
+/**
+ * Reads products back from an xlsx export, including exports written before
+ * prices were numeric (e.g. "R 1,299" and "N/A" cells).
+ */
+function readProducts(filepath) {
+    const workbook = XLSX.readFile(filepath);
+    const sheet = workbook.Sheets.Products || workbook.Sheets[workbook.SheetNames[0]];
+
+    const offersByProduct = readTable(workbook, 'Offers', row => ({
+        seller: toText(row.Seller),
+        price: toNumber(row.Price),
+        currency: toText(row.Currency),
+        condition: toText(row.Condition),
+        deliveryEstimate: toText(row.Delivery),
+        isBuyBoxWinner: row['Buy Box Winner'] === true
+    }));
+    const variantsByProduct = readTable(workbook, 'Variants', row => ({
+        type: toText(row.Type),
+        value: toText(row.Option),
+        price: toNumber(row.Price),
+        currency: toText(row.Currency),
+        available: typeof row.Available === 'boolean' ? row.Available : null,
+        productUrl: toText(row['Product URL'])
+    }));
+    const imageFilesByProduct = readTable(workbook, 'Image Files', row => ({
+        url: toText(row['Image URL']),
+        path: toText(row['Local Path']),
+        sha256: toText(row['SHA-256']),
+        phash: toText(row['Perceptual Hash']),
+        width: toNumber(row.Width),
+        height: toNumber(row.Height)
+    }));
+    const reviewsByProduct = readTable(workbook, 'Reviews', row => ({
+        author: toText(row.Author),
+        date: toText(row.Date),
+        rating: toNumber(row.Rating),
+        body: toText(row.Review)
+    }));
+
+    return XLSX.utils.sheet_to_json(sheet).map(row => {
+        const productUrl = toText(row['Product URL']);
+        const productId = toText(row['Product ID']) || parseProductId(productUrl);
+        const price = toNumber(row.Price);
+        const listPrice = toNumber(row['List Price']);
+        const currency = row.Currency || (typeof row.Price === 'string' && parsePrice(row.Price) ? parsePrice(row.Price).currency : null);
+
+        return {
+            productId,
+            title: toText(row.Title),
+            productUrl,
+            imageUrl: toText(row['Image URL']),
+            price,
+            listPrice,
+            currency,
+            discount: computeDiscount(price, listPrice),
+            seller: toText(row.Seller),
+            brand: toText(row.Brand),
+            categories: row.Categories ? String(row.Categories).split(' > ') : [],
+            description: toText(row.Description),
+            additionalSellers: toOfferCount(row['Additional Sellers']),
+            availability: toText(row.Availability),
+            warranty: toText(row.Warranty),
+            gtin: toText(row.GTIN),
+            sku: toText(row.SKU),
+            rating: toNumber(row.Rating),
+            reviewCount: toNumber(row.Reviews),
+            ratingDistribution: parseDistribution(row['Rating Distribution']),
+            images: row.Images ? String(row.Images).split('\n').filter(Boolean) : [],
+            attributes: parseAttributes(row.Attributes),
+            variants: variantsByProduct.get(productId) || [],
+            imageFiles: imageFilesByProduct.get(productId) || [],
+            offers: offersByProduct.get(productId) || [],
+            reviews: reviewsByProduct.get(productId) || [],
+            errors: [...parseErrors(row.Errors), ...legacyErrors(row)]
+        };
+    });
+}
+
+module.exports = {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    COLUMNS,
+    OFFER_COLUMNS,
+    VARIANT_COLUMNS,
+    IMAGE_FILE_COLUMNS,
+    REVIEW_COLUMNS,
+    write,
+    readProducts,
+    changesToRows
+};
@@ -0,0 +1,205 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { mergeDetails, failedDetails } = require('./product');
+const { loadSiteSelectors, extractWithCheerio, PRODUCT_SECTIONS } = require('./selectors');
+const { collectStructuredFromHtml, parseStructuredData } = require('./structured');
+const { nextPageUrl, collectPages } = require('./pagination');
+const { siteFor, resolveSite } = require('./sites');
+const { consoleLog } = require('./telemetry');
+
+// Plain requests get served the same server-rendered markup as a browser
+const HTTP_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-ZA,en;q=0.9'
+};
+
+// Error statuses are exposed as `err.status` so callers can spot throttling.
+// With a `urlGuard` (see safeurl.scrapeUrlGuard) URLs and redirects it refuses throw.
+async function fetchDocument(url, { timeout, signal, urlGuard = null } = {}) {
+    const refused = urlGuard && urlGuard.check(url);
+    if (refused) throw new Error(`Refusing to fetch ${url}: ${refused}`);
+    try {
+        const response = await axios.get(url, {
+            headers: HTTP_HEADERS,
+            responseType: 'text',
+            timeout,
+            signal,
+            ...(urlGuard ? urlGuard.requestOptions : {})
+        });
+        return cheerio.load(response.data);
+    } catch (err) {
+        if (err.response) err.status = err.response.status;
+        throw err;
+    }
+}
+
+/**
+ * Pages through a site's listing API (see `listingApi` in lib/sites) for a
+ * listing URL. Returns raw listing values shaped like those read off
+ * product cards.
+ */
+async function fetchApiListings(url, listingApi, { timeout, signal, urlGuard = null, maxPages, maxProducts, known, onPage } = {}) {
+    return collectPages(listingApi.url(url), async (pageUrl) => {
+        const refused = urlGuard && urlGuard.check(pageUrl);
+        if (refused) throw new Error(`Refusing to fetch ${pageUrl}: ${refused}`);
+        const response = await axios.get(pageUrl, {
+            headers: { ...HTTP_HEADERS, Accept: 'application/json' },
+            timeout,
+            signal,
+            ...(urlGuard ? urlGuard.requestOptions : {})
+        });
+        return listingApi.parsePage(response.data, pageUrl);
+    }, { maxPages: maxPages || listingApi.maxPages, maxProducts, known, onPage });
+}
+
+/**
+ * Reads the product cards on one listing page and works out the URL of the
+ * next one. Pure, so saved pages can be parsed the same way as live ones.
+ */
+function parseListingPage($, pageUrl, selectors) {
+    const { pagination = {} } = selectors.listing;
+    const nextSelector = (pagination.next || []).find(selector => $(selector).filter('[href]').length > 0);
+    return {
+        listings: extractWithCheerio($, selectors.listing, 'listing', { baseUrl: pageUrl })
+            .filter(card => card.title && card.productUrl),
+        nextUrl: nextPageUrl(pageUrl, {
+            nextHref: nextSelector ? $(nextSelector).filter('[href]').first().attr('href') : null,
+            params: pagination.params
+        })
+    };
+}
+
+/**
+ * Reads the product cards of a listing without a browser, following its
+ * pagination. Sites with a listing API are read from it when the URL is on
+ * the site itself; other pages are parsed from their served HTML.
+ * `options.onListingPage(url)` is called for every page fetched; a failed
+ * listing API is logged to `options.telemetry`.
+ */
+async function getListingsHttp(url, options = {}) {
+    const site = resolveSite(url, options.site);
+    const {
+        selectors = loadSiteSelectors(site), navigationTimeout, signal, urlGuard, maxPages, maxProducts, knownListings,
+        onListingPage: onPage, telemetry = consoleLog
+    } = options;
+
+    if (site.listingApi && siteFor(url) === site) {
+        try {
+            const listings = await fetchApiListings(url, site.listingApi, {
+                timeout: navigationTimeout, signal, urlGuard, maxPages, maxProducts, known: knownListings, onPage
+            });
+            if (listings.length > 0) return listings;
+        } catch (err) {
+            if (signal && signal.aborted) throw err;
+            telemetry.warn(`${site.label} listing API unavailable, parsing listing HTML: ${err.message}`,
+                { event: 'listing-api-failed', url, error: err.message });
+        }
+    }
+
+    return collectPages(url, async (pageUrl) => {
+        const $ = await fetchDocument(pageUrl, { timeout: navigationTimeout, signal, urlGuard });
+        return parseListingPage($, pageUrl, selectors);
+    }, { maxPages, maxProducts, known: knownListings, onPage });
+}
+
+/**
+ * Reads up to `maxReviews` reviews of the product page in `$`, following the
+ * reviews section's "next" links, plus the rating breakdown. Falls back to
+ * the reviews embedded in JSON-LD when the page lists none.
+ */
+async function fetchReviewsHttp($, url, embedded, options) {
+    const { selectors, maxReviews = Infinity, productTimeout, signal, urlGuard } = options;
+    const config = selectors.product.reviews;
+    if (!config) return { reviews: embedded.slice(0, maxReviews), ratingDistribution: [] };
+
+    const rows = [];
+    let page$ = $;
+    let pageUrl = url;
+    while (page$ && rows.length < maxReviews) {
+        const pageRows = extractWithCheerio(page$, { card: config.row, fields: config.fields }, 'listing', { baseUrl: pageUrl });
+        if (pageRows.length === 0) break;
+        rows.push(...pageRows);
+
+        const nextSelector = (config.next || []).find(selector => page$(selector).filter('[href]').length > 0);
+        const nextUrl = nextSelector
+            ? nextPageUrl(pageUrl, { nextHref: page$(nextSelector).filter('[href]').first().attr('href') })
+            : null;
+        page$ = nextUrl ? await fetchDocument(nextUrl, { timeout: productTimeout, signal, urlGuard }) : null;
+        pageUrl = nextUrl;
+    }
+
+    const { distribution } = config;
+    return {
+        reviews: (rows.length > 0 ? rows : embedded).slice(0, maxReviews),
+        ratingDistribution: distribution
+            ? extractWithCheerio($, { card: distribution.row, fields: distribution.fields }, 'listing', { baseUrl: url })
+            : []
+    };
+}
+
+/**
+ * Reads the detail fields from the HTML of a product page (`$`), combining
+ * structured data with the DOM selector config. Pure, so saved pages can be
+ * parsed the same way as live ones. Also returns the reviews embedded in
+ * structured data as `embeddedReviews`.
+ */
+function parseProductPage($, url, selectors) {
+    const raw = collectStructuredFromHtml($);
+    const structured = parseStructuredData(raw);
+    const dom = extractWithCheerio($, selectors.product, 'product', { baseUrl: url, jsonLd: raw.jsonLd });
+    ['offers', ...PRODUCT_SECTIONS].forEach(section => {
+        const config = selectors.product[section];
+        if (config) {
+            dom[section] = extractWithCheerio($, { card: config.row, fields: config.fields }, 'listing', { baseUrl: url });
+        }
+    });
+    return { details: mergeDetails(structured, dom), embeddedReviews: structured.reviews };
+}
+
+/**
+ * HTTP counterpart of fetchProductInfo: reads the detail fields from the
+ * served HTML of a product page, and its reviews when `options.reviews` is
+ * set. Throws when the page cannot be fetched.
+ */
+async function fetchProductInfoHttp(url, options = {}) {
+    const { selectors = loadSiteSelectors(resolveSite(url, options.site)), productTimeout, signal, urlGuard } = options;
+    const $ = await fetchDocument(url, { timeout: productTimeout, signal, urlGuard });
+    const { details, embeddedReviews } = parseProductPage($, url, selectors);
+    if (!options.reviews) return details;
+
+    try {
+        return { ...details, ...await fetchReviewsHttp($, url, embeddedReviews, { ...options, selectors }) };
+    } catch (err) {
+        if (signal && signal.aborted) throw err;
+        return {
+            ...details,
+            reviews: embeddedReviews.slice(0, options.maxReviews),
+            errors: [...details.errors, { field: 'reviews', message: `Could not read reviews: ${err.message}` }]
+        };
+    }
+}
+
+/**
+ * Like fetchProductInfoHttp, but reports failures as field errors instead of
+ * throwing, and logs them to `options.telemetry`.
+ */
+async function getProductInfoHttp(url, options = {}) {
+    try {
+        return await fetchProductInfoHttp(url, options);
+    } catch (err) {
+        if (options.signal && options.signal.aborted) throw err;
+        (options.telemetry || consoleLog).error(`Error fetching product info over HTTP: ${err.message}`,
+            { event: 'product-failed', url, error: err.message });
+        return failedDetails(err.message);
+    }
+}
+
+module.exports = {
+    HTTP_HEADERS,
+    parseListingPage,
+    parseProductPage,
+    getListingsHttp,
+    fetchProductInfoHttp,
+    getProductInfoHttp
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const sharp = require('sharp');
+const { HTTP_HEADERS } = require('./http');
+
+const DEFAULT_IMAGE_DIR = path.join(process.cwd(), 'data', 'images');
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+// Storefront CDNs serve several renditions of each image; these rewrite a
+// rendition URL into the largest one
+const FULL_SIZE_RULES = [
+    // https://media.takealot.com/covers_images/<id>/s-300x300.file -> .../s-zoom.file
+    { pattern: /^(https:\/\/media\.takealot\.com\/.+\/s-)[\w-]+(\.file)$/i, replacement: '$1zoom$2' },
+    // https://m.media-amazon.com/images/I/71abc._AC_US40_.jpg -> .../I/71abc.jpg
+    { pattern: /^(https:\/\/[\w.-]+(?:media-amazon|ssl-images-amazon)\.com\/images\/I\/[\w+%-]+)\.[^/]*_\.(\w+)$/i, replacement: '$1.$2' }
+];
+
+function imageRoot(dir) {
+    return dir || process.env.IMAGE_DIR || DEFAULT_IMAGE_DIR;
+}
+
+// Lazy-load attributes and JSON-LD may carry page-relative image URLs
+function absoluteUrl(url, pageUrl) {
+    try {
+        return new URL(url, pageUrl).href;
+    } catch (err) {
+        return url;
+    }
+}
+
+function fullSizeUrl(url) {
+    const rule = FULL_SIZE_RULES.find(({ pattern }) => pattern.test(url));
+    return rule ? url.replace(rule.pattern, rule.replacement) : url;
+}
+
+/**
+ * 64-bit difference hash as 16 hex digits: the image is shrunk to 9x8 grey
+ * pixels and each bit records whether a pixel is brighter than its right-hand
+ * neighbour. Resized or recompressed copies of a picture hash the same or
+ * within a few bits of each other.
+ */
+async function perceptualHash(buffer) {
+    const pixels = await sharp(buffer).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two perceptual hashes; 0 means the same
+ * picture, a handful still means a near-identical one.
+ */
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+/**
+ * Downloads one image into the content-addressed archive, at
+ * `<dir>/<first two hex digits>/<sha256>.<ext>`, unless an identical file is
+ * already there. Resolves with `{ url, path, sha256, phash, width, height,
+ * bytes }`; throws when the download fails or the file is not an image.
+ */
+async function archiveImage(url, { dir, timeout, signal, urlGuard = null } = {}) {
+    const refused = urlGuard && urlGuard.checkAsset(url);
+    if (refused) throw new Error(`Refusing to fetch ${url}: ${refused}`);
+    let response;
+    try {
+        response = await axios.get(url, {
+            headers: { ...HTTP_HEADERS, Accept: 'image/avif,image/webp,image/*,*/*;q=0.8' },
+            responseType: 'arraybuffer',
+            maxContentLength: MAX_IMAGE_BYTES,
+            timeout,
+            signal,
+            ...(urlGuard ? urlGuard.assetOptions : {})
+        });
+    } catch (err) {
+        if (err.response) err.status = err.response.status;
+        throw err;
+    }
+
+    const buffer = Buffer.from(response.data);
+    const { format, width, height } = await sharp(buffer).metadata();
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const filepath = path.join(imageRoot(dir), sha256.slice(0, 2), `${sha256}.${format === 'jpeg' ? 'jpg' : format}`);
+
+    if (!fs.existsSync(filepath)) {
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+        // Write-then-rename so a crash never leaves a truncated file under its final name
+        const tmp = `${filepath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, buffer);
+        fs.renameSync(tmp, filepath);
+    }
+
+    return { url, path: filepath, sha256, phash: await perceptualHash(buffer), width, height, bytes: buffer.length };
+}
+
+/**
+ * Archives the gallery of a product (or its listing image when it has no
+ * gallery), preferring the full-size rendition of each image. The files are
+ * attached as `product.imageFiles`; images that could not be fetched are
+ * reported in `product.errors`.
+ */
+async function archiveProductImages(product, { imageDir, productTimeout, signal, urlGuard } = {}) {
+    const urls = [...new Set((product.images.length > 0 ? product.images : [product.imageUrl].filter(Boolean))
+        .map(url => absoluteUrl(url, product.productUrl)))];
+    const files = [];
+
+    for (const url of urls) {
+        const candidates = [...new Set([fullSizeUrl(url), url])];
+        let lastError = null;
+        for (const candidate of candidates) {
+            try {
+                files.push(await archiveImage(candidate, { dir: imageDir, timeout: productTimeout, signal, urlGuard }));
+                lastError = null;
+                break;
+            } catch (err) {
+                if (signal && signal.aborted) throw err;
+                lastError = err;
+            }
+        }
+        if (lastError) {
+            product.errors.push({ field: 'images', message: `Could not download ${url}: ${lastError.message}` });
+        }
+    }
+
+    // Several gallery URLs may serve the same bytes
+    product.imageFiles = [...new Map(files.map(file => [file.sha256, file])).values()];
+    return product;
+}
+
+/**
+ * Small PNG rendition of an archived image, e.g. for embedding in Excel.
+ */
+function thumbnail(filepath, size = 64) {
+    return sharp(filepath).resize(size, size, { fit: 'inside' }).png().toBuffer();
+}
+
+module.exports = {
+    DEFAULT_IMAGE_DIR,
+    fullSizeUrl,
+    perceptualHash,
+    hammingDistance,
+    archiveImage,
+    archiveProductImages,
+    thumbnail
+};
@@ -0,0 +1,303 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OPTIONS, LOCAL_OPTIONS, scrapeListing } = require('./scraper');
+const { exportProducts } = require('./exporters');
+const { diffProducts } = require('./diff');
+const { Checkpoint } = require('./checkpoint');
+const { logPath } = require('./telemetry');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Finished jobs are forgotten, result files and all, after a day or beyond
+// the newest 200
+const DEFAULT_FINISHED_TTL = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_FINISHED = 200;
+
+/**
+ * In-memory queue of scrape jobs. Each job runs independently of the HTTP
+ * request that created it and reports progress through 'update' events,
+ * each finished product through 'product' events and the run's phases
+ * through 'phase' events (both with the job first). When a store is
+ * attached, a 'run' event follows every stored run. Jobs only hold on to
+ * their products while running; finished jobs are evicted after
+ * `finishedTtl` ms or once more than `maxFinished` have piled up.
+ */
+class JobQueue extends EventEmitter {
+    constructor({
+        concurrency = 1,
+        outputDir = process.cwd(),
+        scrapeOptions = {},
+        store = null,
+        finishedTtl = DEFAULT_FINISHED_TTL,
+        maxFinished = DEFAULT_MAX_FINISHED
+    } = {}) {
+        super();
+        this.store = store;
+        this.concurrency = concurrency;
+        this.finishedTtl = finishedTtl;
+        this.maxFinished = maxFinished;
+        this.outputDir = outputDir;
+        this.scrapeOptions = scrapeOptions;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    /**
+     * Queues a scrape of one URL or a list of seed URLs. `format` picks the
+     * exporter for the result file, `attributes` the spec-table attributes it
+     * gives a column each, `thumbnails` whether an xlsx file embeds
+     * product images and `owner` the API key the job counts against; any
+     * other options are passed through to scrapeListing.
+     */
+    create(urls, { format = 'xlsx', attributes = [], thumbnails = false, owner = null, ...options } = {}) {
+        const seeds = [].concat(urls);
+        const job = {
+            id: crypto.randomUUID(),
+            url: seeds[0],
+            seeds,
+            format,
+            attributes,
+            thumbnails,
+            owner,
+            options,
+            status: 'queued',
+            progress: 0,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            productCount: null,
+            site: options.site || null,
+            mode: options.mode || null,
+            fetchStats: null,
+            failedUrls: [],
+            checkpointId: options.resume || null,
+            // The run log shares the checkpoint's ID and outlives it
+            logId: options.resume || null,
+            report: null,
+            // The latest phase event of the scrape (see scrapeListing's onPhase)
+            phase: null,
+            // Products finished so far, so late subscribers can catch up while it runs
+            products: [],
+            runId: null,
+            resultPath: null,
+            error: null,
+            controller: new AbortController()
+        };
+        this._evict();
+        this.jobs.set(job.id, job);
+        this.pending.push(job);
+        this._emitUpdate(job);
+        this._next();
+        return job;
+    }
+
+    /**
+     * Queues a job that continues an interrupted run from its checkpoint,
+     * with this queue's LOCAL_OPTIONS rather than the checkpoint's. Throws
+     * when the checkpoint does not exist.
+     */
+    resume(checkpointId, { format = 'xlsx', attributes = [], thumbnails = false, owner = null } = {}) {
+        const checkpoint = Checkpoint.open(checkpointId);
+        const local = Object.fromEntries(LOCAL_OPTIONS.map(key => [key, this.scrapeOptions[key] ?? DEFAULT_OPTIONS[key]]));
+        return this.create(checkpoint.seeds, { ...local, format, attributes, thumbnails, owner, resume: checkpoint.id });
+    }
+
+    /**
+     * Whether a finished job left a checkpoint behind that can be resumed.
+     */
+    isResumable(job) {
+        return ['failed', 'cancelled'].includes(job.status) && Boolean(job.checkpointId);
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    list() {
+        return [...this.jobs.values()];
+    }
+
+    /**
+     * Number of jobs of `owner` that are queued or running.
+     */
+    countActive(owner) {
+        return this.list().filter(job => job.owner === owner && !this.isFinished(job)).length;
+    }
+
+    cancel(id) {
+        const job = this.get(id);
+        if (!job || FINISHED_STATUSES.includes(job.status)) {
+            return job;
+        }
+
+        this.pending = this.pending.filter(pendingJob => pendingJob.id !== id);
+        if (job.status === 'queued') {
+            this._finish(job, 'cancelled');
+        }
+        // Running jobs are finished by _run once the browser has shut down
+        job.controller.abort();
+        return job;
+    }
+
+    /**
+     * Resolves with the job once it has completed, failed or been cancelled.
+     */
+    wait(id) {
+        const job = this.get(id);
+        if (!job || FINISHED_STATUSES.includes(job.status)) {
+            return Promise.resolve(job);
+        }
+
+        return new Promise(resolve => {
+            const onUpdate = (updated) => {
+                if (updated.id === id && FINISHED_STATUSES.includes(updated.status)) {
+                    this.off('update', onUpdate);
+                    resolve(updated);
+                }
+            };
+            this.on('update', onUpdate);
+        });
+    }
+
+    isFinished(job) {
+        return FINISHED_STATUSES.includes(job.status);
+    }
+
+    /**
+     * Path of the job's JSON run log, or null while it has none.
+     */
+    logPath(job) {
+        const filepath = job.logId ? logPath(job.logId) : null;
+        return filepath && fs.existsSync(filepath) ? filepath : null;
+    }
+
+    toJSON(job) {
+        const { controller, options, resultPath, logId, products, ...rest } = job;
+        return { ...rest, hasResult: Boolean(resultPath), hasLog: Boolean(logId) };
+    }
+
+    _next() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this.running++;
+            this._run(job).finally(() => {
+                this.running--;
+                this._next();
+            });
+        }
+    }
+
+    async _run(job) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this._emitUpdate(job);
+
+        try {
+            const { products, meta } = await scrapeListing(job.seeds, {
+                ...this.scrapeOptions,
+                ...job.options,
+                owner: job.owner,
+                signal: job.controller.signal,
+                onCheckpoint: (checkpointId) => {
+                    job.checkpointId = checkpointId;
+                    job.logId = checkpointId;
+                },
+                onProgress: (progress) => {
+                    job.progress = progress;
+                    this._emitUpdate(job);
+                },
+                onProduct: (product) => {
+                    job.products.push(product);
+                    this.emit('product', job, product);
+                },
+                onPhase: (event) => {
+                    job.phase = event;
+                    this.emit('phase', job, event);
+                }
+            });
+
+            // The final list is deduplicated, unlike the stream
+            job.products = products;
+            job.productCount = products.length;
+            job.checkpointId = null;
+            job.site = meta.site;
+            job.mode = meta.mode;
+            job.fetchStats = meta.fetchStats;
+            job.failedUrls = meta.failedUrls;
+            job.report = meta.report;
+            if (products.length === 0) {
+                return this._finish(job, 'failed', 'No products found');
+            }
+
+            // A storage failure should not cost the user their export
+            let changes = null;
+            if (this.store) {
+                try {
+                    job.runId = this.store.saveRun(meta, products);
+                    const previousRun = this.store.getPreviousRun(job.runId);
+                    const previousProducts = previousRun ? this.store.getRunProducts(previousRun.id) : [];
+                    if (previousRun) {
+                        ({ changes } = diffProducts(previousProducts, products));
+                    }
+                    this.emit('run', { job, runId: job.runId, products, previousProducts });
+                } catch (err) {
+                    console.error(`Job ${job.id}: failed to store products:`, err.message);
+                }
+            }
+
+            // A directory per job, so jobs finishing in the same second keep their own files
+            const jobDir = path.join(this.outputDir, job.id);
+            fs.mkdirSync(jobDir, { recursive: true });
+            job.resultPath = await exportProducts(products, job.url, {
+                format: job.format,
+                outputDir: jobDir,
+                changes,
+                attributes: job.attributes,
+                thumbnails: job.thumbnails
+            });
+            if (!job.resultPath) {
+                return this._finish(job, 'failed', `Failed to create ${job.format} file`);
+            }
+            this._finish(job, 'completed');
+        } catch (err) {
+            if (job.controller.signal.aborted) {
+                return this._finish(job, 'cancelled');
+            }
+            console.error(`Job ${job.id} failed:`, err.message);
+            this._finish(job, 'failed', err.message);
+        }
+    }
+
+    _finish(job, status, error = null) {
+        job.status = status;
+        job.error = error;
+        job.finishedAt = new Date().toISOString();
+        // The result file and stored run have them now
+        job.products = [];
+        this._emitUpdate(job);
+        this._evict();
+    }
+
+    // Drops expired finished jobs and the oldest ones beyond the cap, with their result directories
+    _evict(now = Date.now()) {
+        const finished = this.list()
+            .filter(job => this.isFinished(job))
+            .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+        const excess = finished.length - this.maxFinished;
+        finished.forEach((job, index) => {
+            if (index >= excess && now - Date.parse(job.finishedAt) <= this.finishedTtl) return;
+            this.jobs.delete(job.id);
+            fs.rmSync(path.join(this.outputDir, job.id), { recursive: true, force: true });
+        });
+    }
+
+    _emitUpdate(job) {
+        this.emit('update', job);
+    }
+}
+
+module.exports = { JobQueue };
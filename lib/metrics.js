@@ -0,0 +1,136 @@
+// Upper bounds (seconds) of the default histogram buckets
+const DEFAULT_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their labels in a stable order
+function seriesKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    _series(labels, create) {
+        const key = seriesKey(labels);
+        if (!this.series.has(key)) this.series.set(key, { labels: { ...labels }, ...create() });
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    inc(labels = {}, value = 1) {
+        this._series(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+/**
+ * A value that can go up and down. With `collect`, the series are read from
+ * it at render time instead, as `[{ labels, value }]`.
+ */
+class Gauge extends Metric {
+    constructor(name, help, { collect = null } = {}) {
+        super(name, help, 'gauge');
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this._series(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        const series = this.collect ? this.collect() : [...this.series.values()];
+        return series.map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+        super(name, help, 'histogram');
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${sum}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ]);
+    }
+}
+
+/**
+ * A set of metrics rendered together in the Prometheus text format. Metrics
+ * are registered once by name; asking for an existing name returns it.
+ */
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    _register(MetricClass, name, help, options) {
+        if (!this.metrics.has(name)) this.metrics.set(name, new MetricClass(name, help, options));
+        return this.metrics.get(name);
+    }
+
+    counter(name, help) {
+        return this._register(Counter, name, help);
+    }
+
+    gauge(name, help, options) {
+        return this._register(Gauge, name, help, options);
+    }
+
+    histogram(name, help, options) {
+        return this._register(Histogram, name, help, options);
+    }
+
+    render() {
+        return [...this.metrics.values()]
+            .map(metric => [...metric.header(), ...metric.render()].join('\n'))
+            .join('\n\n') + '\n';
+    }
+}
+
+// Shared by everything in the process and served by GET /metrics
+const registry = new Registry();
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    Registry,
+    registry
+};
@@ -0,0 +1,282 @@
+const { PRODUCT_SORTS } = require('./store');
+
+const nullable = (type, extra = {}) => ({ type, nullable: true, ...extra });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const pageParameters = (defaultLimit) => [
+    {
+        name: 'limit',
+        in: 'query',
+        description: 'Page size',
+        schema: { type: 'integer', minimum: 1, maximum: 1000, default: defaultLimit }
+    },
+    {
+        name: 'offset',
+        in: 'query',
+        description: 'Number of items to skip',
+        schema: { type: 'integer', minimum: 0, default: 0 }
+    }
+];
+
+const jsonResponse = (description, schema) => ({
+    description,
+    content: { 'application/json': { schema } }
+});
+
+const errorResponse = (description) => jsonResponse(description, ref('Error'));
+
+const runIdParameter = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Run ID',
+    schema: { type: 'integer' }
+};
+
+const productIdParameter = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Product ID as shown in its URL, e.g. PLID123 or an Amazon ASIN (case-insensitive)',
+    schema: { type: 'string' }
+};
+
+/**
+ * OpenAPI description of the read API over stored runs and products, served
+ * at GET /openapi.json.
+ */
+const openApiSpec = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Product scraper API',
+        version: '1.0.0',
+        description: 'Runs stored by the scraper and the products they observed.'
+    },
+    // Any one of the schemes will do; servers without configured keys only answer local requests
+    security: [{ bearerKey: [] }, { headerKey: [] }, { queryKey: [] }],
+    paths: {
+        '/runs': {
+            get: {
+                summary: 'List stored runs, newest first',
+                parameters: pageParameters(50),
+                responses: {
+                    200: jsonResponse('A page of runs', {
+                        type: 'object',
+                        required: ['total', 'limit', 'offset', 'runs'],
+                        properties: {
+                            total: { type: 'integer', description: 'Number of stored runs' },
+                            limit: { type: 'integer' },
+                            offset: { type: 'integer' },
+                            runs: { type: 'array', items: ref('Run') }
+                        }
+                    }),
+                    400: errorResponse('Invalid limit or offset')
+                }
+            }
+        },
+        '/runs/{id}': {
+            get: {
+                summary: 'Get a stored run',
+                parameters: [runIdParameter],
+                responses: {
+                    200: jsonResponse('The run', ref('Run')),
+                    404: errorResponse('No such run')
+                }
+            }
+        },
+        '/runs/{id}/products': {
+            get: {
+                summary: 'List the products observed by a run',
+                description: 'Filters combine with AND. Products without a value for the sort field come last.',
+                parameters: [
+                    runIdParameter,
+                    { name: 'seller', in: 'query', description: 'Seller name (case-insensitive)', schema: { type: 'string' } },
+                    { name: 'brand', in: 'query', description: 'Brand name (case-insensitive)', schema: { type: 'string' } },
+                    { name: 'minPrice', in: 'query', schema: { type: 'number' } },
+                    { name: 'maxPrice', in: 'query', schema: { type: 'number' } },
+                    { name: 'minDiscount', in: 'query', description: 'Minimum discount in percent', schema: { type: 'number' } },
+                    {
+                        name: 'sort',
+                        in: 'query',
+                        description: 'Field to sort by, descending with a leading "-"; defaults to the order the run saw the products in',
+                        schema: { type: 'string', enum: Object.keys(PRODUCT_SORTS).flatMap(field => [field, `-${field}`]) }
+                    },
+                    ...pageParameters(100)
+                ],
+                responses: {
+                    200: jsonResponse('A page of matching products', {
+                        type: 'object',
+                        required: ['run', 'total', 'limit', 'offset', 'products'],
+                        properties: {
+                            run: ref('Run'),
+                            total: { type: 'integer', description: 'Number of products matching the filters' },
+                            limit: { type: 'integer' },
+                            offset: { type: 'integer' },
+                            products: { type: 'array', items: ref('Product') }
+                        }
+                    }),
+                    400: errorResponse('Invalid filter, sort or page'),
+                    404: errorResponse('No such run')
+                }
+            }
+        },
+        '/products/{id}/history': {
+            get: {
+                summary: 'Get every observation of a product, oldest first',
+                parameters: [productIdParameter],
+                responses: {
+                    200: jsonResponse('The product and its observations', {
+                        type: 'object',
+                        required: ['product', 'observations'],
+                        properties: {
+                            product: ref('CatalogueProduct'),
+                            observations: { type: 'array', items: ref('Observation') }
+                        }
+                    }),
+                    404: errorResponse('No such product')
+                }
+            }
+        },
+        '/products/{id}/reviews': {
+            get: {
+                summary: 'Get the stored reviews of a product, newest first',
+                parameters: [
+                    productIdParameter,
+                    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } }
+                ],
+                responses: {
+                    200: jsonResponse('Reviews', { type: 'array', items: ref('Review') }),
+                    400: errorResponse('Invalid limit')
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            bearerKey: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token' },
+            headerKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            queryKey: { type: 'apiKey', in: 'query', name: 'api_key', description: 'For clients that cannot set headers' }
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: { error: { type: 'string' } }
+            },
+            Run: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    url: { type: 'string', description: 'Listing URL, or the first of several seeds' },
+                    seeds: { type: 'array', items: { type: 'string' } },
+                    startedAt: { type: 'string', format: 'date-time' },
+                    finishedAt: nullable('string', { format: 'date-time' }),
+                    productCount: nullable('integer'),
+                    mode: nullable('string', { description: 'How pages were fetched: http, browser or auto' }),
+                    owner: nullable('string', { description: 'API key that started the run; other keys cannot see it' })
+                }
+            },
+            Offer: {
+                type: 'object',
+                properties: {
+                    seller: nullable('string'),
+                    price: nullable('number'),
+                    currency: nullable('string'),
+                    condition: nullable('string'),
+                    deliveryEstimate: nullable('string'),
+                    isBuyBoxWinner: { type: 'boolean' }
+                }
+            },
+            Product: {
+                type: 'object',
+                description: 'A product as observed by one run',
+                properties: {
+                    productId: { type: 'string' },
+                    title: nullable('string'),
+                    productUrl: nullable('string'),
+                    imageUrl: nullable('string'),
+                    price: nullable('number'),
+                    listPrice: nullable('number'),
+                    currency: nullable('string'),
+                    discount: nullable('number', { description: 'Percent off the list price' }),
+                    seller: nullable('string'),
+                    brand: nullable('string'),
+                    additionalSellers: nullable('integer'),
+                    availability: nullable('string'),
+                    gtin: nullable('string'),
+                    sku: nullable('string'),
+                    categories: { type: 'array', items: { type: 'string' } },
+                    warranty: nullable('string'),
+                    attributes: { type: 'object', additionalProperties: { type: 'string' } },
+                    rating: nullable('number'),
+                    reviewCount: nullable('integer'),
+                    ratingDistribution: nullable('object', {
+                        description: 'Number of reviews per star rating, keyed 1 to 5',
+                        additionalProperties: { type: 'integer' }
+                    }),
+                    errors: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { field: { type: 'string' }, message: { type: 'string' } }
+                        }
+                    },
+                    observedAt: { type: 'string', format: 'date-time' },
+                    offers: { type: 'array', items: ref('Offer') }
+                }
+            },
+            CatalogueProduct: {
+                type: 'object',
+                description: 'What is known about a product regardless of run',
+                properties: {
+                    productId: { type: 'string' },
+                    title: nullable('string'),
+                    productUrl: nullable('string'),
+                    imageUrl: nullable('string'),
+                    brand: nullable('string'),
+                    gtin: nullable('string'),
+                    sku: nullable('string'),
+                    categories: { type: 'array', items: { type: 'string' } },
+                    warranty: nullable('string'),
+                    firstSeenAt: { type: 'string', format: 'date-time' },
+                    lastSeenAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            Observation: {
+                type: 'object',
+                properties: {
+                    runId: { type: 'integer' },
+                    observedAt: { type: 'string', format: 'date-time' },
+                    price: nullable('number'),
+                    listPrice: nullable('number'),
+                    currency: nullable('string'),
+                    discount: nullable('number'),
+                    seller: nullable('string'),
+                    additionalSellers: nullable('integer'),
+                    availability: nullable('string'),
+                    rating: nullable('number'),
+                    reviewCount: nullable('integer')
+                }
+            },
+            Review: {
+                type: 'object',
+                properties: {
+                    productId: { type: 'string' },
+                    runId: { type: 'integer' },
+                    author: nullable('string'),
+                    date: nullable('string'),
+                    rating: nullable('number'),
+                    body: nullable('string')
+                }
+            }
+        }
+    }
+};
+
+// Any operation can be turned away for a missing key or an exhausted rate limit
+Object.values(openApiSpec.paths).forEach(operations => Object.values(operations).forEach(operation => {
+    operation.responses[401] = errorResponse('Missing or invalid API key');
+    operation.responses[429] = errorResponse('Rate limit exceeded; see the Retry-After header');
+}));
+
+module.exports = { openApiSpec };
@@ -0,0 +1,68 @@
+const { parseProductId } = require('./product');
+
+/**
+ * Works out the URL of the listing page after `currentUrl`. A "next" link
+ * found on the page wins; otherwise a page-number query parameter already
+ * present in the URL (one of `params`) is incremented. Returns null when
+ * the listing shows no sign of pagination.
+ */
+function nextPageUrl(currentUrl, { nextHref = null, params = [] } = {}) {
+    if (nextHref) {
+        const next = new URL(nextHref, currentUrl).href;
+        return next === currentUrl ? null : next;
+    }
+
+    const url = new URL(currentUrl);
+    const param = params.find(name => /^\d+$/.test(url.searchParams.get(name) || ''));
+    if (!param) return null;
+    url.searchParams.set(param, String(Number(url.searchParams.get(param)) + 1));
+    return url.href;
+}
+
+/**
+ * Identity of a listing card across pages and seeds: the product ID, or the
+ * product URL without its query string when the URL carries no ID.
+ */
+function listingKey(listing) {
+    return parseProductId(listing.productUrl) || String(listing.productUrl).split(/[?#]/)[0];
+}
+
+/**
+ * Collects listing cards page by page, skipping cards already seen. Stops at
+ * `maxPages`, at `maxProducts`, when a page adds nothing new, or when
+ * `fetchPage(url)` reports no next page. Cards whose key is in `known` (found
+ * by earlier seeds) are returned but not counted towards `maxProducts`.
+ * `fetchPage` resolves with `{ listings, nextUrl }`; `onPage(url)` is called
+ * after each page it fetched.
+ */
+async function collectPages(startUrl, fetchPage, {
+    maxPages = null, maxProducts = null, known = new Set(), onPage = () => {}
+} = {}) {
+    const seen = new Set();
+    const listings = [];
+    let counted = 0;
+    let pageUrl = startUrl;
+
+    for (let page = 1; pageUrl && (!maxPages || page <= maxPages); page++) {
+        const result = await fetchPage(pageUrl, page);
+        onPage(pageUrl);
+        const fresh = result.listings.filter(listing => !seen.has(listingKey(listing)));
+        if (fresh.length === 0) break;
+
+        for (const listing of fresh) {
+            const key = listingKey(listing);
+            seen.add(key);
+            listings.push(listing);
+            if (!known.has(key)) counted++;
+            if (maxProducts && counted >= maxProducts) return listings;
+        }
+        pageUrl = result.nextUrl;
+    }
+    return listings;
+}
+
+module.exports = {
+    nextPageUrl,
+    listingKey,
+    collectPages
+};
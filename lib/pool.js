@@ -0,0 +1,282 @@
+const { consoleLog } = require('./telemetry');
+
+// Responses that mean "slow down" rather than "this page is broken"
+const THROTTLE_STATUSES = [429, 503];
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isThrottled(err) {
+    return Boolean(err) && THROTTLE_STATUSES.includes(err.status);
+}
+
+/**
+ * Spaces out requests to the same host. The interval grows whenever the host
+ * pushes back and decays towards its base value again on success.
+ */
+class HostRateLimiter {
+    constructor({ interval = 250, maxInterval = 30000 } = {}) {
+        this.interval = interval;
+        this.maxInterval = maxInterval;
+        this.hosts = new Map();
+    }
+
+    _host(url) {
+        const hostname = new URL(url).hostname;
+        if (!this.hosts.has(hostname)) {
+            this.hosts.set(hostname, { interval: this.interval, nextSlot: 0 });
+        }
+        return this.hosts.get(hostname);
+    }
+
+    /**
+     * Resolves once the next request to the URL's host may go out.
+     */
+    async wait(url) {
+        const host = this._host(url);
+        const now = Date.now();
+        const slot = Math.max(now, host.nextSlot);
+        host.nextSlot = slot + host.interval;
+        if (slot > now) await delay(slot - now);
+    }
+
+    penalize(url) {
+        const host = this._host(url);
+        host.interval = Math.min(this.maxInterval, Math.max(host.interval * 2, 1000));
+    }
+
+    reward(url) {
+        const host = this._host(url);
+        host.interval = Math.max(this.interval, Math.floor(host.interval * 0.9));
+    }
+}
+
+/**
+ * Reusable browser tabs. Pages are opened on demand up to `size` and handed
+ * back out instead of opening a fresh tab per product. `setup` prepares each
+ * new page, e.g. to intercept its requests.
+ */
+class PagePool {
+    constructor(getBrowser, { size = 2, viewport = { width: 1920, height: 1080 }, setup = async () => {} } = {}) {
+        this.getBrowser = getBrowser;
+        this.size = size;
+        this.viewport = viewport;
+        this.setup = setup;
+        this.idle = [];
+        this.waiting = [];
+        this.open = 0;
+    }
+
+    async acquire() {
+        if (this.idle.length > 0) return this.idle.pop();
+        if (this.open < this.size) {
+            this.open++;
+            let page = null;
+            try {
+                page = await (await this.getBrowser()).newPage();
+                await page.setViewport(this.viewport);
+                await this.setup(page);
+                return page;
+            } catch (err) {
+                this.open--;
+                if (page) page.close().catch(() => {});
+                throw err;
+            }
+        }
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+    }
+
+    /**
+     * Returns a page to the pool. Pages that failed are closed rather than
+     * reused, since they may be stuck mid-navigation.
+     */
+    release(page, { discard = false } = {}) {
+        const waiter = this.waiting.shift();
+        if (!discard) {
+            if (waiter) waiter.resolve(page);
+            else this.idle.push(page);
+            return;
+        }
+
+        this.open--;
+        page.close().catch(() => {});
+        if (waiter) this.acquire().then(waiter.resolve, waiter.reject);
+    }
+
+    async close() {
+        const pages = this.idle.splice(0);
+        this.open -= pages.length;
+        await Promise.all(pages.map(page => page.close().catch(() => {})));
+    }
+}
+
+/**
+ * Worker queue whose concurrency adapts to how the target site is coping:
+ * it halves on throttling responses or a rising error rate and creeps back
+ * up one slot at a time while requests succeed. Failed tasks are retried
+ * with exponential backoff and jitter without holding a worker slot.
+ * Concurrency changes and retries are logged to `log`, e.g. a run's
+ * RunTelemetry.
+ */
+class AdaptivePool {
+    constructor({
+        concurrency = 2,
+        minConcurrency = 1,
+        retries = 2,
+        retryDelay = 1000,
+        errorThreshold = 0.25,
+        windowSize = 20,
+        rateLimiter = null,
+        signal = null,
+        log = consoleLog
+    } = {}) {
+        this.maxConcurrency = Math.max(concurrency, minConcurrency);
+        this.minConcurrency = minConcurrency;
+        this.limit = this.maxConcurrency;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.errorThreshold = errorThreshold;
+        this.windowSize = windowSize;
+        this.rateLimiter = rateLimiter;
+        this.signal = signal;
+        this.log = log;
+        this.outcomes = [];
+        this.successStreak = 0;
+    }
+
+    backoff(attempt) {
+        const base = this.retryDelay * 2 ** (attempt - 1);
+        return base + Math.floor(Math.random() * base);
+    }
+
+    _slowDown(reason) {
+        const limit = Math.max(this.minConcurrency, Math.floor(this.limit / 2));
+        if (limit !== this.limit) {
+            this.log.warn(`Reducing concurrency to ${limit} (${reason})`, { event: 'concurrency', limit, reason });
+        }
+        this.limit = limit;
+        this.outcomes = [];
+        this.successStreak = 0;
+    }
+
+    _record(url, err) {
+        this.outcomes.push(!err);
+        if (this.outcomes.length > this.windowSize) this.outcomes.shift();
+
+        if (!err) {
+            if (this.rateLimiter) this.rateLimiter.reward(url);
+            this.successStreak++;
+            if (this.successStreak >= this.limit && this.limit < this.maxConcurrency) {
+                this.limit++;
+                this.successStreak = 0;
+            }
+            return;
+        }
+
+        this.successStreak = 0;
+        if (isThrottled(err)) {
+            if (this.rateLimiter) this.rateLimiter.penalize(url);
+            this._slowDown(`HTTP ${err.status}`);
+            return;
+        }
+        const failures = this.outcomes.filter(ok => !ok).length;
+        if (this.outcomes.length >= 4 && failures / this.outcomes.length > this.errorThreshold) {
+            this._slowDown(`${failures}/${this.outcomes.length} recent requests failed`);
+        }
+    }
+
+    /**
+     * Runs `worker(item, attempt)` for every item. `urlOf(item)` names the URL
+     * used for rate limiting. Resolves with the results in input order (null
+     * for items that never succeeded) and `failures` as
+     * `{ item, url, error, attempts }`. Rejects only when the signal aborts.
+     * `onRetry(url, attempt, err)` is called whenever a failed item is queued
+     * again.
+     */
+    run(items, worker, {
+        urlOf,
+        onSettled = () => {},
+        onRetry = (url, attempt, err) => this.log.warn(`Retrying ${url} (attempt ${attempt + 1}) after: ${err.message}`,
+            { event: 'retry', url, attempt, error: err.message })
+    }) {
+        const queue = items.map((item, index) => ({ item, index, attempt: 0, notBefore: 0 }));
+        const results = new Array(items.length).fill(null);
+        const failures = [];
+        let active = 0;
+        let settled = 0;
+
+        return new Promise((resolve, reject) => {
+            let stopped = false;
+            let timer = null;
+
+            const settle = () => {
+                settled++;
+                onSettled(settled, items.length);
+            };
+
+            const execute = async (task) => {
+                if (this.signal) this.signal.throwIfAborted();
+                const url = urlOf(task.item);
+                try {
+                    if (this.rateLimiter) await this.rateLimiter.wait(url);
+                    results[task.index] = await worker(task.item, task.attempt);
+                    this._record(url, null);
+                    settle();
+                } catch (err) {
+                    if (this.signal && this.signal.aborted) throw err;
+                    this._record(url, err);
+                    if (task.attempt < this.retries) {
+                        task.attempt++;
+                        task.notBefore = Date.now() + this.backoff(task.attempt);
+                        onRetry(url, task.attempt, err);
+                        queue.push(task);
+                    } else {
+                        failures.push({ item: task.item, url, error: err.message, attempts: task.attempt + 1 });
+                        settle();
+                    }
+                }
+            };
+
+            const pump = () => {
+                if (stopped) return;
+                if (settled === items.length) {
+                    stopped = true;
+                    return resolve({ results, failures });
+                }
+                clearTimeout(timer);
+                timer = null;
+
+                while (active < this.limit && queue.length > 0) {
+                    const now = Date.now();
+                    const index = queue.findIndex(task => task.notBefore <= now);
+                    if (index === -1) {
+                        const wait = Math.min(...queue.map(task => task.notBefore)) - now;
+                        timer = setTimeout(pump, wait);
+                        break;
+                    }
+                    const [task] = queue.splice(index, 1);
+                    active++;
+                    execute(task).then(() => {
+                        active--;
+                        pump();
+                    }, err => {
+                        stopped = true;
+                        clearTimeout(timer);
+                        reject(err);
+                    });
+                }
+            };
+
+            pump();
+        });
+    }
+}
+
+module.exports = {
+    THROTTLE_STATUSES,
+    isThrottled,
+    HostRateLimiter,
+    PagePool,
+    AdaptivePool
+};
@@ -0,0 +1,355 @@
+const { parseProductId } = require('./sites');
+
+// Prices shown without a recognised symbol are taken to be rand, Takealot's currency
+const CURRENCY_SYMBOLS = {
+    'R': 'ZAR',
+    '$': 'USD',
+    '£': 'GBP',
+    '€': 'EUR'
+};
+
+const DEFAULT_CURRENCY = 'ZAR';
+
+/**
+ * Parses a display price such as "R 1,299" or "R 49.95" into
+ * `{ amount, currency }`. Returns null for anything without a number.
+ */
+function parsePrice(text) {
+    if (text === undefined || text === null) return null;
+    if (typeof text === 'number') return { amount: text, currency: DEFAULT_CURRENCY };
+
+    const value = String(text).trim();
+    const match = value.replace(/[\s, ]/g, '').match(/\d+(?:\.\d+)?/);
+    if (!match) return null;
+
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find(key => value.startsWith(key));
+    return {
+        amount: Number(match[0]),
+        currency: symbol ? CURRENCY_SYMBOLS[symbol] : DEFAULT_CURRENCY
+    };
+}
+
+/**
+ * Percentage saved against the list price, rounded to one decimal place.
+ * Null unless the list price is higher than the selling price.
+ */
+function computeDiscount(price, listPrice) {
+    if (price === null || listPrice === null || listPrice <= price) return null;
+    return Math.round(((listPrice - price) / listPrice) * 1000) / 10;
+}
+
+// "4.5 out of 5 stars" -> 4.5, "1,234 ratings" -> 1234; numbers pass through
+function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    if (value === undefined || value === null) return null;
+    const match = String(value).replace(/(\d),(?=\d{3}\b)/g, '$1').match(/\d+(?:\.\d+)?/);
+    return match ? Number(match[0]) : null;
+}
+
+function parseCount(text) {
+    if (text === undefined || text === null) return null;
+    const count = parseInt(text, 10);
+    return Number.isNaN(count) ? null : count;
+}
+
+function sameSeller(a, b) {
+    return Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Normalizes the raw offers found on a product page and folds in the
+ * buy-box offer, so the list holds every offer exactly once with the buy-box
+ * winner flagged.
+ */
+function normalizeOffers(rawOffers = [], buyBox) {
+    const offers = rawOffers.map(offer => {
+        const price = typeof offer.price === 'number'
+            ? { amount: offer.price, currency: offer.currency || DEFAULT_CURRENCY }
+            : parsePrice(offer.price);
+        return {
+            seller: offer.seller || null,
+            price: price ? price.amount : null,
+            currency: price ? price.currency : null,
+            condition: offer.condition || null,
+            deliveryEstimate: offer.deliveryEstimate || null,
+            isBuyBoxWinner: false
+        };
+    });
+    if (!buyBox.seller && buyBox.price === null) return offers;
+
+    // The other-offers view usually repeats the buy-box offer
+    const winner = offers.find(offer => sameSeller(offer.seller, buyBox.seller)
+        && (offer.price === null || buyBox.price === null || offer.price === buyBox.price));
+    if (winner) {
+        winner.isBuyBoxWinner = true;
+        Object.entries(buyBox).forEach(([field, value]) => {
+            if (winner[field] === null && value !== null) winner[field] = value;
+        });
+    } else {
+        offers.unshift({ ...buyBox, isBuyBoxWinner: true });
+    }
+    return offers;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "2024-03-12T10:00:00Z", "12 Mar 2024" or "March 12, 2024" -> "2024-03-12";
+// anything else is kept as shown
+function parseReviewDate(text) {
+    if (!text) return null;
+    const value = String(text).trim();
+    const iso = value.match(/^(\d{4}-\d{2}-\d{2})/);
+    if (iso) return iso[1];
+    const dayFirst = value.match(/^(\d{1,2})\s+([a-z]{3})[a-z]*\.?\s+(\d{4})$/i);
+    const monthFirst = value.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+    const [day, monthName, year] = dayFirst
+        ? dayFirst.slice(1)
+        : (monthFirst ? [monthFirst[2], monthFirst[1], monthFirst[3]] : []);
+    const month = monthName ? MONTHS.indexOf(monthName.toLowerCase()) : -1;
+    if (month === -1) return value;
+    return `${year}-${String(month + 1).padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Normalizes raw reviews and drops duplicates, which appear when the same
+ * review is embedded in JSON-LD and shown on the page, or when "load more"
+ * re-renders earlier ones. Reviews with neither stars nor text are dropped.
+ */
+function normalizeReviews(rawReviews = []) {
+    const seen = new Set();
+    return rawReviews
+        .map(review => {
+            const rating = typeof review.rating === 'number' ? review.rating : parseFloat(review.rating);
+            return {
+                author: review.author || null,
+                date: parseReviewDate(review.date),
+                rating: Number.isFinite(rating) ? rating : null,
+                body: review.body || null
+            };
+        })
+        .filter(review => {
+            const key = [review.author, review.date, review.body].join('|');
+            if ((review.rating === null && !review.body) || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Number of ratings per star level as `{ 1: n, ..., 5: n }`. Read from the
+ * rating breakdown rows (`{ stars, count }`) when the page shows them;
+ * otherwise counted from the reviews, but only when those are all of them.
+ * Null when neither source is complete.
+ */
+function normalizeDistribution(rows, reviews = [], reviewCount = null) {
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    const parsed = (rows || [])
+        .map(row => ({ stars: parseCount(row.stars), count: parseCount(String(row.count || '').replace(/,/g, '')) }))
+        .filter(row => row.stars >= 1 && row.stars <= 5 && row.count !== null);
+    if (parsed.length > 0) {
+        parsed.forEach(row => { distribution[row.stars] = row.count; });
+        return distribution;
+    }
+
+    const rated = reviews.filter(review => review.rating !== null);
+    if (rated.length === 0 || !reviewCount || rated.length < reviewCount) return null;
+    rated.forEach(review => {
+        const stars = Math.min(5, Math.max(1, Math.round(review.rating)));
+        distribution[stars]++;
+    });
+    return distribution;
+}
+
+/**
+ * Spec table rows (`{ name, value }`) as an attributes object, layered over
+ * the attributes found in structured data. Label colons are dropped.
+ */
+function normalizeAttributes(rows = [], base = {}) {
+    const attributes = { ...base };
+    rows.forEach(row => {
+        const name = row.name ? row.name.replace(/:\s*$/, '').trim() : null;
+        if (name && row.value) attributes[name] = row.value;
+    });
+    return attributes;
+}
+
+/**
+ * Normalizes variant options (size, colour, ...) with their own prices. DOM
+ * rows flag sold-out options through `unavailable`; structured data sets
+ * `available` directly.
+ */
+function normalizeVariants(rawVariants = []) {
+    const seen = new Set();
+    return rawVariants
+        .map(variant => {
+            const price = typeof variant.price === 'number'
+                ? { amount: variant.price, currency: variant.currency || DEFAULT_CURRENCY }
+                : parsePrice(variant.price);
+            return {
+                type: variant.type || null,
+                value: variant.value || null,
+                price: price ? price.amount : null,
+                currency: price ? price.currency : null,
+                productUrl: variant.productUrl || null,
+                available: typeof variant.available === 'boolean' ? variant.available : !variant.unavailable
+            };
+        })
+        .filter(variant => {
+            const key = `${variant.type}|${variant.value}`;
+            if (!variant.value || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// Breadcrumb names without the "Home" link or a trailing crumb for the product itself
+function normalizeCategories(names = [], title = null) {
+    const categories = names.filter(Boolean).map(name => name.trim());
+    if (categories.length > 0 && /^home$/i.test(categories[0])) categories.shift();
+    if (categories.length > 0 && categories[categories.length - 1] === title) categories.pop();
+    return categories;
+}
+
+/**
+ * Builds a normalized product from the raw values scraped off a listing card
+ * and its product page. Missing values are null; anything that could not be
+ * extracted is described in `errors` as `{ field, message }`.
+ */
+function normalizeProduct(listing, details = {}) {
+    const errors = [...(listing.errors || []), ...(details.errors || [])];
+
+    // Structured data on the product page carries an exact numeric price
+    let price = null;
+    if (typeof details.price === 'number') {
+        price = { amount: details.price, currency: details.currency || DEFAULT_CURRENCY };
+    } else {
+        // A price shown on the product page is newer than the listing card's
+        const priceText = details.price || listing.price;
+        price = parsePrice(priceText);
+        if (priceText && !price) {
+            errors.push({ field: 'price', message: `Unparsable price "${priceText}"` });
+        }
+    }
+
+    // The product page is more up to date than the listing card, so prefer it
+    const listPriceText = details.listPrice !== undefined && details.listPrice !== null
+        ? details.listPrice
+        : listing.listPrice;
+    const listPrice = parsePrice(listPriceText);
+
+    const priceAmount = price ? price.amount : null;
+    const listPriceAmount = listPrice ? listPrice.amount : null;
+    const currency = price ? price.currency : (listPrice ? listPrice.currency : null);
+    // Structured data gives numbers; selectors give text such as "1,234 ratings"
+    const reviewCount = parseNumber(details.reviewCount);
+    const reviews = normalizeReviews(details.reviews);
+
+    const title = listing.title || details.title || null;
+
+    return {
+        productId: parseProductId(listing.productUrl),
+        title,
+        productUrl: listing.productUrl || null,
+        imageUrl: listing.imageUrl || (details.images && details.images[0]) || null,
+        price: priceAmount,
+        listPrice: listPriceAmount,
+        currency,
+        discount: computeDiscount(priceAmount, listPriceAmount),
+        seller: details.seller || null,
+        brand: details.brand || null,
+        categories: normalizeCategories(details.categories, title),
+        description: details.description || null,
+        additionalSellers: parseCount(details.additionalSellers),
+        availability: details.availability || null,
+        warranty: details.warranty || null,
+        gtin: details.gtin || null,
+        sku: details.sku || null,
+        rating: parseNumber(details.rating),
+        reviewCount,
+        ratingDistribution: details.reviews ? normalizeDistribution(details.ratingDistribution, reviews, reviewCount) : null,
+        images: details.images || [],
+        attributes: details.attributes || {},
+        variants: normalizeVariants(details.variants),
+        offers: normalizeOffers(details.offers, {
+            seller: details.seller || null,
+            price: priceAmount,
+            currency,
+            condition: details.condition || null,
+            deliveryEstimate: details.deliveryEstimate || null
+        }),
+        reviews,
+        errors
+    };
+}
+
+const DETAIL_FIELDS = [
+    'seller', 'brand', 'description', 'additionalSellers', 'listPrice',
+    'price', 'currency', 'availability', 'gtin', 'sku', 'rating', 'reviewCount',
+    'condition', 'deliveryEstimate', 'warranty'
+];
+
+/**
+ * Combines the parsed structured data of a product page with the fields read
+ * through the DOM selector config. Machine-readable data wins; the DOM fills
+ * whatever it lacks. Fields expected on every page but missing come back as
+ * null with an entry in `errors`.
+ */
+function mergeDetails(structured, dom) {
+    const { specs, gallery, breadcrumb, ...fields } = dom;
+    // Rows read off the page (other-offers view, variant picker, breadcrumb)
+    // are more complete than JSON-LD
+    const pick = (rows, fallback) => (rows && rows.length > 0 ? rows : fallback || []);
+    const result = {
+        ...fields,
+        // The on-page gallery often has shots JSON-LD leaves out
+        images: [...new Set([...(structured.images || []), ...(gallery || []).map(item => item.url).filter(Boolean)])],
+        offers: pick(dom.offers, structured.offers),
+        variants: pick(dom.variants, structured.variants),
+        categories: pick(breadcrumb && breadcrumb.map(item => item.name), structured.categories),
+        attributes: normalizeAttributes(specs, structured.attributes)
+    };
+    // Embedded reviews are only collected by the optional reviews step
+    const lists = ['images', 'offers', 'reviews', 'attributes', 'variants', 'categories'];
+    Object.entries(structured).forEach(([field, value]) => {
+        if (value !== null && !lists.includes(field)) result[field] = value;
+    });
+
+    const errors = ['seller', 'brand', 'description']
+        .filter(field => result[field] === null || result[field] === undefined)
+        .map(field => ({ field, message: `No ${field} found` }));
+    if (result.additionalSellers === null || result.additionalSellers === undefined) {
+        errors.push({ field: 'additionalSellers', message: 'Unreadable offer count' });
+    }
+
+    return { ...result, errors };
+}
+
+/**
+ * Details for a product page that could not be read at all.
+ */
+function failedDetails(message) {
+    return {
+        ...Object.fromEntries(DETAIL_FIELDS.map(field => [field, null])),
+        images: [],
+        attributes: {},
+        variants: [],
+        categories: [],
+        offers: [],
+        errors: ['seller', 'brand', 'description', 'additionalSellers', 'listPrice']
+            .map(field => ({ field, message }))
+    };
+}
+
+module.exports = {
+    DETAIL_FIELDS,
+    parseProductId,
+    parsePrice,
+    computeDiscount,
+    normalizeOffers,
+    normalizeVariants,
+    normalizeReviews,
+    normalizeDistribution,
+    normalizeProduct,
+    mergeDetails,
+    failedDetails
+};
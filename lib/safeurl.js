@@ -0,0 +1,198 @@
+const dns = require('dns');
+const net = require('net');
+const { SITES, getSite } = require('./sites');
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and other
+// special-purpose ranges a server-side request must never reach
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable. IPv4-mapped IPv6 addresses
+ * (::ffff:10.0.0.1) are judged by the IPv4 address they carry.
+ */
+function isPublicAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isPublicAddress(mapped[1]);
+    const family = net.isIP(address);
+    if (!family) return false;
+    if (family === 6 && /^::ffff:/i.test(address)) return false;
+    return !BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Redirects a guarded scrape request may follow
+const MAX_REDIRECTS = 5;
+// How long a browser request check (and the DNS answer behind it) is reused for a host
+const REQUEST_CHECK_TTL = 60 * 1000;
+
+function blockedError(hostname) {
+    return Object.assign(new Error(`${hostname} resolves to a private or reserved address`), { code: 'EBLOCKED' });
+}
+
+/**
+ * Drop-in for dns.lookup on outgoing requests (http.request's and axios'
+ * `lookup` option) that fails with EBLOCKED when the host resolves to a
+ * private or reserved address. The address checked is the one connected to,
+ * so the host's DNS cannot change between the check and the request.
+ */
+function publicLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+            return callback(blockedError(hostname));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Problems with a URL that need no DNS: scheme, credentials, port and host
+function checkUrlShape(url, { allowHost = () => null, anyPort = false } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return { error: `Invalid URL: ${url}` };
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return { error: `Only http and https URLs are allowed: ${url}` };
+    }
+    if (parsed.username || parsed.password) {
+        return { error: `URLs must not contain credentials: ${url}` };
+    }
+    if (parsed.port && !anyPort) {
+        return { error: `URLs must use the default port: ${url}` };
+    }
+
+    // IPv6 literals keep their brackets in URL#hostname
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    const hostError = allowHost(hostname);
+    if (hostError) return { error: hostError };
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+        return { error: `${hostname} is a private or reserved address` };
+    }
+    return { hostname };
+}
+
+/**
+ * Checks that a URL is safe for the server to request on a client's behalf:
+ * http(s) only, no credentials, no explicit port unless `anyPort`, a
+ * hostname `allowHost` returns no error message for and every address it
+ * resolves to public. Resolves with an error message, or null when the URL
+ * is fine. Hosts can change their DNS after this check, so requests to the
+ * URL must go through publicLookup as well.
+ */
+async function checkUrl(url, { allowHost, anyPort, lookup = dns.promises.lookup } = {}) {
+    const { error, hostname } = checkUrlShape(url, { allowHost, anyPort });
+    if (error) return error;
+    if (net.isIP(hostname)) return null;
+
+    let addresses;
+    try {
+        addresses = await lookup(hostname, { all: true, verbatim: true });
+    } catch (err) {
+        return `Cannot resolve ${hostname}`;
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+        return blockedError(hostname).message;
+    }
+    return null;
+}
+
+// Error message for hosts outside the supported sites (or site `siteName`), else null
+function siteHostChecker(siteName = null) {
+    const sites = siteName ? [getSite(siteName)] : SITES;
+    return (hostname) => {
+        if (sites.some(site => site.hostPattern.test(hostname))) return null;
+        return siteName
+            ? `${hostname} does not belong to ${sites[0].label}`
+            : `${hostname} is not a supported site. Supported sites: ${SITES.map(site => site.label).join(', ')}`;
+    };
+}
+
+/**
+ * Checks the seed URLs of a scrape requested over the API. Hosts must belong
+ * to a supported site, and to site `siteName` when one is named. Resolves
+ * with the first error message, or null.
+ */
+async function checkScrapeUrls(urls, siteName = null, options = {}) {
+    const allowHost = siteHostChecker(siteName);
+    for (const url of [].concat(urls)) {
+        const error = await checkUrl(url, { ...options, allowHost });
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * Checks an alert webhook URL: any public host and port will do, but not
+ * this machine or its network.
+ */
+function checkWebhookUrl(url, options = {}) {
+    return checkUrl(url, { ...options, anyPort: true });
+}
+
+/**
+ * Request settings that keep a scrape on the hosts of the supported sites
+ * and off private addresses, for the scraper's `urlGuard` option.
+ * `check(url)` returns an error message for a URL that must not be fetched;
+ * `requestOptions` go into every axios request of the run, re-checking each
+ * redirect and the address actually connected to. `checkAsset` and
+ * `assetOptions` do the same for assets such as images, which live on CDN
+ * hosts of their own. The browser resolves hosts itself, so
+ * `checkRequest(url, { navigation })` resolves them too before a page's
+ * request (or redirect hop) goes out: navigations must stay on the supported
+ * sites, other requests off private addresses.
+ */
+function scrapeUrlGuard({ lookup } = {}) {
+    const allowHost = siteHostChecker();
+    const checked = new Map();
+    const checkRequest = (url, { navigation = true } = {}) => {
+        let origin;
+        try {
+            origin = new URL(url).origin;
+        } catch (err) {
+            return Promise.resolve(`Invalid URL: ${url}`);
+        }
+        const key = `${navigation}:${origin}`;
+        const cached = checked.get(key);
+        if (cached && cached.expires > Date.now()) return cached.result;
+
+        const result = checkUrl(url, navigation ? { allowHost, lookup } : { anyPort: true, lookup });
+        checked.set(key, { result, expires: Date.now() + REQUEST_CHECK_TTL });
+        return result;
+    };
+    const beforeRedirect = (allow) => (options) => {
+        const url = `${options.protocol}//${options.hostname}${options.port ? `:${options.port}` : ''}/`;
+        const { error } = checkUrlShape(url, { allowHost: allow || undefined, anyPort: !allow });
+        if (error) throw new Error(`Redirect refused: ${error}`);
+    };
+    return {
+        check: (url) => checkUrlShape(url, { allowHost }).error || null,
+        checkAsset: (url) => checkUrlShape(url, { anyPort: true }).error || null,
+        checkRequest,
+        requestOptions: { lookup: publicLookup, maxRedirects: MAX_REDIRECTS, beforeRedirect: beforeRedirect(allowHost) },
+        assetOptions: { lookup: publicLookup, maxRedirects: MAX_REDIRECTS, beforeRedirect: beforeRedirect(null) }
+    };
+}
+
+module.exports = {
+    isPublicAddress,
+    publicLookup,
+    checkUrl,
+    checkScrapeUrls,
+    checkWebhookUrl,
+    scrapeUrlGuard
+};
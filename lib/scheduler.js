@@ -0,0 +1,128 @@
+const cron = require('node-cron');
+const { siteFor } = require('./sites');
+
+/**
+ * Runs saved watchlists on their cron schedules. Each URL in a watchlist is
+ * scraped through the shared job queue, one after the other, and the outcome
+ * is recorded per URL. `quotaError(owner)` may turn a URL's job away (e.g.
+ * for an API key's job quota) with an error message.
+ */
+class Scheduler {
+    constructor({ store, jobQueue, quotaError = () => null }) {
+        this.store = store;
+        this.jobQueue = jobQueue;
+        this.quotaError = quotaError;
+        this.tasks = new Map();
+        // IDs of the watchlists with a run under way
+        this.running = new Set();
+    }
+
+    start() {
+        this.store.getWatchlists().forEach(watchlist => this.schedule(watchlist));
+    }
+
+    stop() {
+        this.tasks.forEach(task => task.stop());
+        this.tasks.clear();
+    }
+
+    /**
+     * (Re)registers the cron task for a watchlist. Call after every change.
+     */
+    schedule(watchlist) {
+        this.unschedule(watchlist.id);
+        if (!watchlist.enabled) return;
+
+        const task = cron.schedule(watchlist.schedule, () => {
+            const current = this.store.getWatchlist(watchlist.id);
+            if (current) {
+                this.run(current).catch(err => {
+                    console.error(`Watchlist "${current.name}" failed:`, err.message);
+                });
+            }
+        });
+        this.tasks.set(watchlist.id, task);
+    }
+
+    unschedule(watchlistId) {
+        const task = this.tasks.get(watchlistId);
+        if (task) {
+            task.stop();
+            this.tasks.delete(watchlistId);
+        }
+    }
+
+    isRunning(watchlistId) {
+        return this.running.has(watchlistId);
+    }
+
+    /**
+     * Scrapes every URL of the watchlist in turn as jobs of `owner` (the key
+     * that created the watchlist unless given) and resolves with the jobs
+     * once all have finished, with one watchlist run record per URL. Resolves
+     * with null, running nothing, while the watchlist's previous run is still
+     * going.
+     */
+    async run(watchlist, { owner = watchlist.owner } = {}) {
+        if (this.isRunning(watchlist.id)) {
+            console.log(`Watchlist "${watchlist.name}" is still running; skipping this run`);
+            return null;
+        }
+        console.log(`Running watchlist "${watchlist.name}" (${watchlist.urls.length} URLs)`);
+
+        this.running.add(watchlist.id);
+        try {
+            const jobs = [];
+            for (const url of watchlist.urls) {
+                const recordId = this.store.startWatchlistRun(watchlist.id, url);
+                const refused = this.quotaError(owner);
+                if (refused) {
+                    this.store.finishWatchlistRun(recordId, { status: 'skipped', error: refused });
+                    continue;
+                }
+                const job = await this.jobQueue.wait(this.jobQueue.create(url, { owner }).id);
+                this.store.finishWatchlistRun(recordId, {
+                    status: job.status,
+                    runId: job.runId,
+                    error: job.error
+                });
+                jobs.push(job);
+            }
+            return jobs;
+        } finally {
+            this.running.delete(watchlist.id);
+        }
+    }
+}
+
+/**
+ * Validates a watchlist payload. Returns an error message, or null when valid.
+ * With `partial` set, only the fields present are checked.
+ */
+function validateWatchlist(body, { partial = false } = {}) {
+    const { name, urls, schedule, enabled } = body;
+
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) return 'name is required';
+    }
+    if (!partial || urls !== undefined) {
+        if (!Array.isArray(urls) || urls.length === 0) return 'urls must be a non-empty array';
+        for (const url of urls) {
+            try {
+                new URL(url);
+            } catch (err) {
+                return `Invalid URL: ${url}`;
+            }
+            if (!siteFor(url)) return `No site adapter for ${url}`;
+        }
+    }
+    if (!partial || schedule !== undefined) {
+        if (typeof schedule !== 'string' || !cron.validate(schedule)) return 'schedule must be a valid cron expression';
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'enabled must be a boolean';
+    }
+    return null;
+}
+
+module.exports = { Scheduler, validateWatchlist };
@@ -0,0 +1,713 @@
+const puppeteer = require('puppeteer');
+const { normalizeProduct, mergeDetails, failedDetails } = require('./product');
+const { loadSiteSelectors, extractInPage, PRODUCT_SECTIONS } = require('./selectors');
+const { extractStructuredData } = require('./structured');
+const { getListingsHttp, fetchProductInfoHttp } = require('./http');
+const { HostRateLimiter, PagePool, AdaptivePool } = require('./pool');
+const { Checkpoint, createRunId } = require('./checkpoint');
+const { nextPageUrl, listingKey, collectPages } = require('./pagination');
+const { normalizeSeeds } = require('./seeds');
+const { archiveProductImages } = require('./images');
+const { getSite, resolveSite } = require('./sites');
+const { RunTelemetry, consoleLog } = require('./telemetry');
+
+// 'browser' renders every page in Puppeteer, 'http' never launches it, and
+// 'auto' fetches plain HTML first and renders only the pages that need it
+const MODES = ['auto', 'http', 'browser'];
+
+const DEFAULT_OPTIONS = {
+    // Site adapter (see lib/sites); picked by the hostname of the seed URLs when null
+    site: null,
+    mode: 'auto',
+    headless: true,
+    // Product pages fetched at once; lowered automatically when the site pushes back
+    concurrency: 2,
+    retries: 2,
+    retryDelay: 1000,
+    // Minimum gap between requests to the same host
+    hostInterval: 250,
+    scrollDelay: 2000,
+    maxLoadMoreAttempts: 5,
+    navigationTimeout: 60000,
+    productTimeout: 20000,
+    // Product pages fetched over HTTP are re-rendered when any of these is missing
+    requiredFields: ['seller', 'brand'],
+    // Caps across all seeds and per seed respectively; null means no limit
+    maxProducts: null,
+    maxPages: null,
+    // Collect individual reviews and the rating breakdown (slower: extra clicks or pages per product)
+    reviews: false,
+    maxReviews: 100,
+    // Download each product's image gallery into a content-addressed archive
+    // (imageDir, default data/images or IMAGE_DIR)
+    downloadImages: false,
+    imageDir: null,
+    // Refuses URLs, redirects and addresses a server must not fetch (see
+    // safeurl.scrapeUrlGuard); null fetches anything, as on the CLI
+    urlGuard: null,
+    // API key the run was started with, kept in its checkpoint so other keys cannot resume it
+    owner: null,
+    onProgress: () => {},
+    // Called with each product as soon as it is final, e.g. to stream results
+    onProduct: () => {},
+    // Called as the run moves through its phases, with
+    // `{ phase, state: 'started'|'running'|'finished'|'skipped', ...details }`
+    onPhase: () => {}
+};
+
+// Settings a resumed run inherits from the run it continues
+const RESUMABLE_OPTIONS = [
+    'site', 'mode', 'headless', 'concurrency', 'retries', 'retryDelay', 'hostInterval',
+    'navigationTimeout', 'productTimeout', 'requiredFields', 'maxProducts', 'maxPages',
+    'reviews', 'maxReviews', 'downloadImages', 'imageDir', 'owner'
+];
+
+// Resumable settings that belong to the machine rather than the crawl. A
+// server resuming a checkpoint uses its own, since it cannot vouch for a
+// path or browser setting someone else wrote.
+const LOCAL_OPTIONS = ['headless', 'imageDir'];
+
+const BROWSER_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920,1080'
+];
+
+// Fails fast, with a clear message, on a URL the page would refuse to load anyway
+function refuseUnsafe(url, urlGuard) {
+    const refused = urlGuard && urlGuard.check(url);
+    if (refused) throw new Error(`Refusing to fetch ${url}: ${refused}`);
+}
+
+// URLs that never leave the browser
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+/**
+ * Intercepts every request of a page, redirect hops included, and aborts the
+ * ones urlGuard.checkRequest refuses. A no-op without a guard.
+ */
+async function guardPage(page, urlGuard) {
+    if (!urlGuard) return;
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+        const url = request.url();
+        if (LOCAL_SCHEMES.some(scheme => url.startsWith(scheme))) {
+            return request.continue().catch(() => {});
+        }
+        const refused = await urlGuard.checkRequest(url, { navigation: request.isNavigationRequest() });
+        (refused ? request.abort('accessdenied') : request.continue()).catch(() => {});
+    });
+}
+
+async function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Reads the detail fields from a product page in the browser, combining
+ * structured data with the DOM selector config (see mergeDetails), plus its
+ * reviews when `options.reviews` is set. Throws when the page cannot be
+ * loaded; error statuses carry `err.status`.
+ */
+async function fetchProductInfo(page, url, options = {}) {
+    const {
+        productTimeout = DEFAULT_OPTIONS.productTimeout,
+        maxReviews = DEFAULT_OPTIONS.maxReviews,
+        selectors = loadSiteSelectors(resolveSite(url, options.site))
+    } = options;
+
+    refuseUnsafe(url, options.urlGuard);
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: productTimeout });
+    if (response && response.status() >= 400) {
+        const err = new Error(`HTTP ${response.status()} for ${url}`);
+        err.status = response.status();
+        throw err;
+    }
+
+    // Wait until any of the "page is ready" markers has rendered
+    await page.waitForSelector(selectors.product.ready.join(', '), { timeout: 5000 });
+
+    const structured = await extractStructuredData(page);
+    const dom = await page.evaluate(extractInPage, selectors.product, 'product');
+    for (const section of PRODUCT_SECTIONS) {
+        const config = selectors.product[section];
+        if (config) dom[section] = await page.evaluate(extractInPage, { card: config.row, fields: config.fields }, 'listing');
+    }
+    const extraErrors = [];
+    if (selectors.product.offers && Number(dom.additionalSellers) > 0) {
+        try {
+            dom.offers = await readOtherOffers(page, selectors.product.offers);
+        } catch (err) {
+            extraErrors.push({ field: 'offers', message: `Could not read other offers: ${err.message}` });
+        }
+    }
+
+    const details = mergeDetails(structured, dom);
+    if (options.reviews) {
+        try {
+            Object.assign(details, selectors.product.reviews
+                ? await readReviews(page, selectors.product.reviews, maxReviews)
+                : { ratingDistribution: [], reviews: [] });
+        } catch (err) {
+            extraErrors.push({ field: 'reviews', message: `Could not read reviews: ${err.message}` });
+        }
+        // Fall back to the reviews embedded in JSON-LD
+        if (!details.reviews || details.reviews.length === 0) {
+            details.reviews = structured.reviews.slice(0, maxReviews);
+        }
+    }
+    return { ...details, errors: [...details.errors, ...extraErrors] };
+}
+
+function clickFirstInPage(selectors) {
+    for (const selector of selectors) {
+        const element = document.querySelector(selector);
+        if (element) {
+            element.click();
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Opens the other-offers view of the product page loaded in `page` and reads
+ * one raw offer per row. Offer rows are extracted the same way as listing
+ * cards.
+ */
+async function readOtherOffers(page, config) {
+    if (!await page.evaluate(clickFirstInPage, config.open)) {
+        throw new Error('No other-offers link found');
+    }
+    await page.waitForSelector(config.row.join(', '), { timeout: 5000 });
+    return page.evaluate(extractInPage, { card: config.row, fields: config.fields }, 'listing');
+}
+
+/**
+ * Reads up to `limit` reviews from the product page loaded in `page`,
+ * clicking "more reviews" until enough are shown or no more appear, plus the
+ * rating breakdown. Review rows are extracted the same way as listing cards.
+ */
+async function readReviews(page, config, limit) {
+    const rowSelector = config.row.join(', ');
+    const countRows = () => page.evaluate(selector => document.querySelectorAll(selector).length, rowSelector);
+
+    // Review sections tend to render only once scrolled into view
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await page.waitForSelector(rowSelector, { timeout: 5000 }).catch(() => null);
+
+    let count = await countRows();
+    while (count > 0 && count < limit && config.more && await page.evaluate(clickFirstInPage, config.more)) {
+        await page.waitForFunction(
+            (selector, previous) => document.querySelectorAll(selector).length > previous,
+            { timeout: 5000 }, rowSelector, count
+        ).catch(() => null);
+        const next = await countRows();
+        if (next <= count) break;
+        count = next;
+    }
+
+    const reviews = count > 0
+        ? await page.evaluate(extractInPage, { card: config.row, fields: config.fields }, 'listing')
+        : [];
+    const { distribution } = config;
+    return {
+        reviews: reviews.slice(0, limit),
+        ratingDistribution: distribution
+            ? await page.evaluate(extractInPage, { card: distribution.row, fields: distribution.fields }, 'listing')
+            : []
+    };
+}
+
+/**
+ * Like fetchProductInfo, but reports failures as field errors instead of
+ * throwing, and logs them to `options.telemetry`.
+ */
+async function getProductInfo(page, url, options = {}) {
+    try {
+        return await fetchProductInfo(page, url, options);
+    } catch (err) {
+        (options.telemetry || consoleLog).error(`Error fetching product info: ${err.message}`,
+            { event: 'product-failed', url, error: err.message });
+        return failedDetails(err.message);
+    }
+}
+
+async function fetchProductInfoInBrowser(url, options, context) {
+    const page = await context.pages.acquire();
+    try {
+        const details = await fetchProductInfo(page, url, options);
+        context.pages.release(page);
+        return details;
+    } catch (err) {
+        context.pages.release(page, { discard: true });
+        throw err;
+    }
+}
+
+/**
+ * Fetches the details of one listing according to `options.mode`. `context`
+ * supplies the page pool and collects per-run fetch stats and telemetry.
+ * Throws when the page could not be read so the pool can retry it.
+ */
+async function getDetails(listing, attempt, options, context) {
+    const url = listing.productUrl;
+    const { telemetry } = context;
+    if (options.mode !== 'browser') {
+        const details = await fetchProductInfoHttp(url, options);
+        context.stats.httpPages++;
+        telemetry.pageLoaded('product', 'http', url);
+        const missing = options.requiredFields.filter(field => details[field] === null || details[field] === undefined);
+        // Other offers are usually rendered client-side
+        if (Number(details.additionalSellers) > details.offers.length) missing.push('offers');
+        if (options.reviews && details.reviews.length < Math.min(details.reviewCount || 0, options.maxReviews)) {
+            missing.push('reviews');
+        }
+        if (options.mode === 'http' || missing.length === 0) {
+            return details;
+        }
+        telemetry.fallback(url, missing);
+        context.stats.fallbacks++;
+        try {
+            const rendered = await fetchProductInfoInBrowser(url, options, context);
+            context.stats.browserPages++;
+            telemetry.pageLoaded('product', 'browser', url);
+            return rendered;
+        } catch (err) {
+            // Partial HTTP details beat none once the browser has had its retries
+            if (attempt < options.retries || (options.signal && options.signal.aborted)) throw err;
+            telemetry.warn(`Browser fallback for ${url} failed: ${err.message}`, { event: 'fallback-failed', url, error: err.message });
+            return details;
+        }
+    }
+
+    const details = await fetchProductInfoInBrowser(url, options, context);
+    context.stats.browserPages++;
+    telemetry.pageLoaded('product', 'browser', url);
+    return details;
+}
+
+// "Load more" clicks count against maxPages like navigations do
+async function loadAllListings(mainPage, options, log) {
+    const { card, loadMore } = options.selectors.listing;
+    if (!loadMore) return;
+    const cardSelector = card.join(', ');
+    const loadMoreSelector = loadMore.join(', ');
+    const maxClicks = options.maxPages ? options.maxPages - 1 : Infinity;
+    let previousProductCount = 0;
+    let attemptCount = 0;
+    let clicks = 0;
+
+    log.debug('Starting to load all products...');
+
+    while (true) {
+        const currentProductCount = await mainPage.evaluate((selector) =>
+            document.querySelectorAll(selector).length
+        , cardSelector);
+
+        log.debug(`Current product count: ${currentProductCount}`, { event: 'load-more', count: currentProductCount });
+        if ((options.maxProducts && currentProductCount >= options.maxProducts) || clicks >= maxClicks) {
+            log.debug('Reached the page or product limit');
+            break;
+        }
+
+        try {
+            await mainPage.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+            await delay(options.scrollDelay);
+
+            const buttonVisible = await mainPage.evaluate((selector) => {
+                const button = document.querySelector(selector);
+                if (!button) return false;
+
+                const rect = button.getBoundingClientRect();
+                return rect.top >= 0 && rect.bottom <= window.innerHeight;
+            }, loadMoreSelector);
+
+            if (!buttonVisible) {
+                log.debug('Load more button not found or not visible');
+                break;
+            }
+
+            // Clicking in-page avoids Puppeteer's "node is not clickable" errors on overlays
+            await mainPage.evaluate((selector) => {
+                const button = document.querySelector(selector);
+                if (button) button.click();
+            }, loadMoreSelector);
+
+            clicks++;
+            log.debug('Clicked load more button');
+            await delay(options.scrollDelay);
+
+            if (currentProductCount === previousProductCount) {
+                attemptCount++;
+                if (attemptCount >= options.maxLoadMoreAttempts) {
+                    log.info('No new products loaded after multiple attempts. Stopping.');
+                    break;
+                }
+            } else {
+                attemptCount = 0;
+            }
+
+            previousProductCount = currentProductCount;
+
+        } catch (err) {
+            log.warn(`Error while loading more products: ${err.message}`, { event: 'load-more-failed', error: err.message });
+            break;
+        }
+    }
+}
+
+async function extractListings(mainPage, options) {
+    const cards = await mainPage.evaluate(extractInPage, options.selectors.listing, 'listing');
+    return cards.filter(card => card.title && card.productUrl);
+}
+
+function findNextHrefInPage(selectors) {
+    for (const selector of selectors) {
+        const element = document.querySelector(`${selector}[href]`);
+        if (element) return element.getAttribute('href');
+    }
+    return null;
+}
+
+async function getListingsInBrowser(url, options, context) {
+    const { telemetry } = context;
+    const mainPage = await (await context.getBrowser()).newPage();
+    await mainPage.setViewport({ width: 1920, height: 1080 });
+    await guardPage(mainPage, options.urlGuard);
+    const { pagination = {} } = options.selectors.listing;
+
+    try {
+        return await collectPages(url, async (pageUrl, pageNumber) => {
+            telemetry.debug(`Loading page ${pageNumber}...`);
+            refuseUnsafe(pageUrl, options.urlGuard);
+            await mainPage.goto(pageUrl, { waitUntil: 'networkidle0', timeout: options.navigationTimeout });
+            telemetry.pageLoaded('listing', 'browser', pageUrl);
+            try {
+                await mainPage.waitForSelector(options.selectors.listing.card.join(', '), { timeout: 30000 });
+            } catch (err) {
+                // Only an empty first page is an error; later ones just end the listing
+                if (pageNumber === 1) throw err;
+                return { listings: [], nextUrl: null };
+            }
+
+            if (pageNumber === 1) options.onProgress(20);
+            await telemetry.time('load-more', () => loadAllListings(mainPage, options, telemetry));
+
+            if (pageNumber === 1) options.onProgress(50);
+            telemetry.debug('Extracting product data...');
+            const listings = await extractListings(mainPage, options);
+            const nextHref = await mainPage.evaluate(findNextHrefInPage, pagination.next || []);
+            return { listings, nextUrl: nextPageUrl(pageUrl, { nextHref, params: pagination.params }) };
+        }, { maxPages: options.maxPages, maxProducts: options.maxProducts, known: options.knownListings });
+    } finally {
+        await mainPage.close().catch(() => {});
+    }
+}
+
+/**
+ * Reads the listing cards, over HTTP where the mode allows it. In 'auto'
+ * mode an empty HTTP result is retried in the browser.
+ */
+async function getListings(url, options, context) {
+    if (options.mode !== 'browser') {
+        try {
+            const listings = await getListingsHttp(url, {
+                ...options,
+                telemetry: context.telemetry,
+                onListingPage: pageUrl => context.telemetry.pageLoaded('listing', 'http', pageUrl)
+            });
+            if (listings.length > 0 || options.mode === 'http') {
+                recordListingMethod(context, 'http');
+                return listings;
+            }
+            context.telemetry.info('No listings found over HTTP, rendering the page instead', { event: 'fallback', url });
+        } catch (err) {
+            if (options.mode === 'http' || (options.signal && options.signal.aborted)) throw err;
+            context.telemetry.info(`Listing fetch over HTTP failed, rendering the page instead: ${err.message}`,
+                { event: 'fallback', url, error: err.message });
+        }
+    }
+
+    recordListingMethod(context, 'browser');
+    return getListingsInBrowser(url, options, context);
+}
+
+function recordListingMethod(context, method) {
+    const { listing } = context.stats;
+    context.stats.listing = listing && listing !== method ? 'mixed' : method;
+}
+
+/**
+ * Discovers the listing cards of every seed, with product URLs in the site's
+ * canonical form, deduplicated by product ID and capped at
+ * `options.maxProducts`. A seed that cannot be read is recorded in
+ * `failedUrls`; the crawl only fails when no seed could be read at all.
+ */
+async function discoverListings(seeds, options, context) {
+    const { normalizeUrl } = getSite(options.site);
+    const byKey = new Map();
+    let lastError = null;
+
+    for (const seed of seeds) {
+        if (options.signal) options.signal.throwIfAborted();
+        const remaining = options.maxProducts ? options.maxProducts - byKey.size : null;
+        try {
+            const listings = await getListings(seed, {
+                ...options,
+                maxProducts: remaining,
+                knownListings: new Set(byKey.keys())
+            }, context);
+            listings.forEach(listing => {
+                const card = { ...listing, productUrl: normalizeUrl(listing.productUrl) };
+                if (!byKey.has(listingKey(card))) byKey.set(listingKey(card), card);
+            });
+            context.telemetry.info(`Found ${listings.length} listings on ${seed}`, { event: 'listings', url: seed, count: listings.length });
+        } catch (err) {
+            if (options.signal && options.signal.aborted) throw err;
+            context.telemetry.pageFailed('listing', seed, err.message);
+            context.stats.failedUrls.push({ url: seed, error: err.message, attempts: 1 });
+            lastError = err;
+        }
+        if (options.maxProducts && byKey.size >= options.maxProducts) break;
+    }
+
+    if (byKey.size === 0 && context.stats.failedUrls.length === seeds.length) throw lastError;
+    return [...byKey.values()].slice(0, options.maxProducts || undefined);
+}
+
+/**
+ * Loads every product on one or more listing pages (`urls` is a URL or a
+ * list of seed URLs) and enriches each one with its product-page details.
+ * Throws if no listing can be scraped or if `options.signal` is aborted.
+ * Fetch stats for the run are recorded in `options.stats` when given, and
+ * logs, counters and phase timings in `options.telemetry` (a RunTelemetry).
+ */
+async function getAllProducts(urls, options = {}) {
+    const seeds = normalizeSeeds(urls);
+    options = { ...DEFAULT_OPTIONS, ...options };
+    if (!MODES.includes(options.mode)) {
+        throw new Error(`Unknown mode "${options.mode}". Use one of: ${MODES.join(', ')}`);
+    }
+    const site = resolveSite(seeds, options.site);
+    options.site = site.name;
+    if (!options.selectors) options.selectors = loadSiteSelectors(site);
+    const updateProgress = options.onProgress;
+    const phase = (name, state, details = {}) => options.onPhase({ phase: name, state, ...details });
+
+    const signal = options.signal;
+
+    // The browser only starts once a page actually needs rendering
+    let browserPromise = null;
+    const context = {
+        stats: Object.assign(options.stats || {}, {
+            listing: null, httpPages: 0, browserPages: 0, fallbacks: 0, failedUrls: []
+        }),
+        telemetry: options.telemetry || new RunTelemetry(createRunId(), { site: site.name, dir: null }),
+        getBrowser: () => {
+            if (!browserPromise) {
+                if (signal) signal.throwIfAborted();
+                browserPromise = puppeteer.launch({ headless: options.headless, args: BROWSER_ARGS });
+            }
+            return browserPromise;
+        }
+    };
+    context.pages = new PagePool(context.getBrowser, {
+        size: options.concurrency,
+        setup: page => guardPage(page, options.urlGuard)
+    });
+    const closeBrowser = () => (browserPromise
+        ? browserPromise.then(browser => browser.close()).catch(() => {})
+        : Promise.resolve());
+
+    // Closing the browser makes any pending Puppeteer call reject, and the
+    // signal itself cancels pending HTTP requests, so the scrape unwinds as
+    // soon as the caller aborts
+    const onAbort = () => closeBrowser();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        updateProgress(0);
+        if (signal) signal.throwIfAborted();
+
+        // A checkpoint from an interrupted run already knows the listing
+        const checkpoint = options.checkpoint || null;
+        let listings = checkpoint ? checkpoint.loadListings() : null;
+        const completed = checkpoint ? checkpoint.loadProducts() : new Map();
+        if (listings) {
+            context.telemetry.info(`Resuming: ${completed.size} of ${listings.length} products already done`,
+                { event: 'resume', completed: completed.size, listings: listings.length });
+            context.stats.listing = 'checkpoint';
+            phase('listing-extraction', 'skipped', { listings: listings.length });
+        } else {
+            updateProgress(10);
+            phase('listing-extraction', 'started', { seeds: seeds.length });
+            listings = await context.telemetry.time('listing-extraction', () => discoverListings(seeds, options, context));
+            phase('listing-extraction', 'finished', {
+                listings: listings.length,
+                durationMs: context.telemetry.phases['listing-extraction']
+            });
+            if (checkpoint) checkpoint.saveListings(listings);
+        }
+        const pending = listings.filter(listing => !completed.has(listing.productUrl));
+        listings.filter(listing => completed.has(listing.productUrl))
+            .forEach(listing => options.onProduct(completed.get(listing.productUrl)));
+
+        updateProgress(70);
+        context.telemetry.info('Getting seller information concurrently...', { event: 'details', pending: pending.length });
+        phase('detail-enrichment', 'started', { done: 0, total: pending.length, completed: completed.size });
+
+        const pool = new AdaptivePool({
+            concurrency: options.concurrency,
+            retries: options.retries,
+            retryDelay: options.retryDelay,
+            rateLimiter: new HostRateLimiter({ interval: options.hostInterval }),
+            signal,
+            log: context.telemetry
+        });
+        const { failures } = await context.telemetry.time('detail-enrichment', () => pool.run(
+            pending,
+            async (listing, attempt) => {
+                const product = normalizeProduct(listing, await getDetails(listing, attempt, options, context));
+                if (options.downloadImages) await archiveProductImages(product, options);
+                completed.set(listing.productUrl, product);
+                if (checkpoint) checkpoint.addProduct(product);
+                options.onProduct(product);
+                return product;
+            },
+            {
+                urlOf: listing => listing.productUrl,
+                onSettled: (settled, total) => {
+                    updateProgress(Math.round(70 + (settled / total) * 25));
+                    phase('detail-enrichment', 'running', { done: settled, total });
+                },
+                onRetry: (url, attempt, err) => context.telemetry.retry(url, attempt, err.message)
+            }
+        ));
+
+        // Pages that never loaded still yield their listing data, flagged with
+        // the error; they are left out of the checkpoint so a resume retries them
+        const errorsByUrl = new Map(failures.map(failure => [failure.url, failure.error]));
+        const allProducts = listings.map(listing => {
+            if (completed.has(listing.productUrl)) return completed.get(listing.productUrl);
+            const product = normalizeProduct(listing, failedDetails(errorsByUrl.get(listing.productUrl)));
+            options.onProduct(product);
+            return product;
+        });
+        failures.forEach(({ url, error, attempts }) => context.telemetry.pageFailed('product', url, error, attempts));
+        phase('detail-enrichment', 'finished', {
+            done: pending.length,
+            total: pending.length,
+            failed: failures.length,
+            durationMs: context.telemetry.phases['detail-enrichment']
+        });
+        context.stats.failedUrls.push(...failures.map(({ url, error, attempts }) => ({ url, error, attempts })));
+
+        const uniqueProducts = [...new Map(allProducts.map(item =>
+            [item.productId || item.productUrl, item]
+        )).values()];
+
+        updateProgress(100);
+        context.telemetry.info(`Total unique products found: ${uniqueProducts.length}`, { event: 'products', count: uniqueProducts.length });
+        return uniqueProducts;
+    } finally {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        await closeBrowser();
+    }
+}
+
+/**
+ * Programmatic entry point: scrapes one or more listing URLs and returns the
+ * products together with metadata describing the run. `meta.url` is the
+ * first seed; `meta.seeds` lists them all. Progress is checkpointed to disk
+ * (unless `options.checkpoint` is false) and the checkpoint removed once the
+ * scrape succeeds; pass `options.resume` with a checkpoint ID to continue an
+ * interrupted run instead. `options.onCheckpoint(id)` is called as soon as
+ * the checkpoint exists. The site adapter is picked by the hostname of the
+ * seeds unless `options.site` names one. The run logs to its own JSON log
+ * (`meta.logPath`) and ends with a report of page counts, phase timings and
+ * missing-value rates per field (`meta.report`, see lib/telemetry).
+ */
+async function scrapeListing(urls, options = {}) {
+    let checkpoint = null;
+    let seeds;
+    if (options.resume) {
+        checkpoint = Checkpoint.open(options.resume);
+        seeds = checkpoint.seeds;
+        options = { ...checkpoint.options, ...options };
+    } else {
+        seeds = normalizeSeeds(urls);
+        // Fails fast on unsupported sites, and lets a resumed run keep its site
+        options = { ...options, site: resolveSite(seeds, options.site).name };
+        if (options.checkpoint !== false) {
+            const settings = Object.fromEntries(RESUMABLE_OPTIONS
+                .filter(key => options[key] !== undefined)
+                .map(key => [key, options[key]]));
+            checkpoint = Checkpoint.create(seeds, settings);
+        }
+    }
+    const site = options.site || resolveSite(seeds).name;
+    const telemetry = new RunTelemetry(checkpoint ? checkpoint.id : createRunId(), { site });
+    if (checkpoint) {
+        telemetry.info(`Checkpoint: ${checkpoint.id}`, { event: 'checkpoint', checkpointId: checkpoint.id });
+        // Lets callers offer to resume the run should it fail
+        if (options.onCheckpoint) options.onCheckpoint(checkpoint.id);
+    }
+    telemetry.info(`${options.resume ? 'Resuming' : 'Starting'} run of ${seeds.join(', ')}`, {
+        event: 'run-started',
+        seeds,
+        mode: options.mode || DEFAULT_OPTIONS.mode,
+        resumed: Boolean(options.resume)
+    });
+
+    const startedAt = new Date();
+    const stats = {};
+    let products;
+    try {
+        products = await getAllProducts(seeds, { ...options, checkpoint, stats, telemetry });
+    } catch (err) {
+        const aborted = options.signal && options.signal.aborted;
+        telemetry.finish(aborted ? 'cancelled' : 'failed', { durationMs: new Date() - startedAt, error: err.message });
+        await telemetry.close();
+        throw err;
+    }
+    const finishedAt = new Date();
+    const { failedUrls, ...fetchStats } = stats;
+    if (checkpoint) checkpoint.remove();
+    const report = telemetry.finish('completed', { products, durationMs: finishedAt - startedAt });
+    await telemetry.close();
+
+    return {
+        products,
+        meta: {
+            url: seeds[0],
+            seeds,
+            startedAt: startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            productCount: products.length,
+            site,
+            mode: options.mode || DEFAULT_OPTIONS.mode,
+            fetchStats,
+            failedUrls,
+            checkpointId: checkpoint ? checkpoint.id : null,
+            owner: options.owner || null,
+            logPath: telemetry.logPath,
+            report
+        }
+    };
+}
+
+module.exports = {
+    MODES,
+    DEFAULT_OPTIONS,
+    LOCAL_OPTIONS,
+    delay,
+    fetchProductInfo,
+    getProductInfo,
+    getAllProducts,
+    scrapeListing
+};
@@ -0,0 +1,43 @@
+const fs = require('fs');
+
+/**
+ * Turns a URL or list of URLs into a deduplicated list of seed URLs. Throws
+ * when the list is empty or any entry is not an http(s) URL.
+ */
+function normalizeSeeds(input) {
+    const seeds = [...new Set([].concat(input || [])
+        .map(url => (typeof url === 'string' ? url.trim() : url))
+        .filter(Boolean))];
+    if (seeds.length === 0) {
+        throw new Error('At least one URL is required');
+    }
+
+    for (const seed of seeds) {
+        let protocol;
+        try {
+            ({ protocol } = new URL(seed));
+        } catch (err) {
+            throw new Error(`Invalid URL: ${seed}`);
+        }
+        if (protocol !== 'http:' && protocol !== 'https:') {
+            throw new Error(`Not an http(s) URL: ${seed}`);
+        }
+    }
+    return seeds;
+}
+
+/**
+ * Reads seed URLs from a text file: one per line, blank lines and lines
+ * starting with # ignored.
+ */
+function readSeedFile(filepath) {
+    return fs.readFileSync(filepath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+module.exports = {
+    normalizeSeeds,
+    readSeedFile
+};
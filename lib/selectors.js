@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+
+// One config per site adapter, named after it (config/sites/takealot.json)
+const SELECTORS_DIR = path.join(__dirname, '..', 'config', 'sites');
+const SUPPORTED_VERSION = 1;
+const STRATEGY_TYPES = ['css', 'jsonld', 'meta', 'text'];
+// Repeated blocks of a product page read row by row, like listing cards
+const PRODUCT_SECTIONS = ['specs', 'variants', 'gallery', 'breadcrumb'];
+
+/**
+ * Checks a selector config for structural mistakes. Returns a list of
+ * problems; an empty list means the config is usable.
+ */
+function validateSelectors(config) {
+    const problems = [];
+    if (config.version !== SUPPORTED_VERSION) {
+        problems.push(`Unsupported selector config version ${config.version}, expected ${SUPPORTED_VERSION}`);
+    }
+
+    const checkList = (name, list) => {
+        if (!Array.isArray(list) || list.length === 0 || list.some(item => typeof item !== 'string')) {
+            problems.push(`${name} must be a non-empty array of CSS selectors`);
+        }
+    };
+    const checkFields = (name, fields) => {
+        Object.entries(fields || {}).forEach(([field, strategies]) => {
+            if (!Array.isArray(strategies) || strategies.length === 0) {
+                problems.push(`${name}.${field} must list at least one strategy`);
+                return;
+            }
+            strategies.forEach((strategy, i) => {
+                const types = STRATEGY_TYPES.filter(type => strategy[type] !== undefined);
+                if (types.length !== 1) {
+                    problems.push(`${name}.${field}[${i}] must have exactly one of: ${STRATEGY_TYPES.join(', ')}`);
+                }
+                if (strategy.pattern !== undefined) {
+                    try {
+                        new RegExp(strategy.pattern);
+                    } catch (err) {
+                        problems.push(`${name}.${field}[${i}] has an invalid pattern: ${err.message}`);
+                    }
+                }
+            });
+        });
+    };
+
+    const { listing = {}, product = {} } = config;
+    checkList('listing.card', listing.card);
+    // Sites that paginate by link have no "load more" button
+    if (listing.loadMore !== undefined) checkList('listing.loadMore', listing.loadMore);
+    if (listing.pagination !== undefined) {
+        const { next = [], params = [] } = listing.pagination;
+        if (!Array.isArray(next) || next.some(item => typeof item !== 'string')) {
+            problems.push('listing.pagination.next must be an array of CSS selectors');
+        }
+        if (!Array.isArray(params) || params.some(item => typeof item !== 'string')) {
+            problems.push('listing.pagination.params must be an array of query parameter names');
+        }
+    }
+    checkFields('listing.fields', listing.fields);
+    checkList('product.ready', product.ready);
+    checkFields('product.fields', product.fields);
+    if (product.offers !== undefined) {
+        checkList('product.offers.open', product.offers.open);
+        checkList('product.offers.row', product.offers.row);
+        checkFields('product.offers.fields', product.offers.fields);
+    }
+    PRODUCT_SECTIONS.forEach(section => {
+        if (product[section] === undefined) return;
+        checkList(`product.${section}.row`, product[section].row);
+        checkFields(`product.${section}.fields`, product[section].fields);
+    });
+    if (product.reviews !== undefined) {
+        const { reviews } = product;
+        checkList('product.reviews.row', reviews.row);
+        ['more', 'next'].forEach(key => {
+            if (reviews[key] !== undefined && (!Array.isArray(reviews[key]) || reviews[key].some(item => typeof item !== 'string'))) {
+                problems.push(`product.reviews.${key} must be an array of CSS selectors`);
+            }
+        });
+        checkFields('product.reviews.fields', reviews.fields);
+        if (reviews.distribution !== undefined) {
+            checkList('product.reviews.distribution.row', reviews.distribution.row);
+            checkFields('product.reviews.distribution.fields', reviews.distribution.fields);
+        }
+    }
+
+    ['productUrl', 'title'].forEach(field => {
+        if (!listing.fields || !listing.fields[field]) problems.push(`listing.fields.${field} is required`);
+    });
+    return problems;
+}
+
+const cache = new Map();
+
+function selectorsPath(siteName) {
+    return path.join(process.env.SELECTORS_DIR || SELECTORS_DIR, `${siteName}.json`);
+}
+
+/**
+ * Loads and validates a selector config file. Throws when the config is
+ * unusable.
+ */
+function loadSelectors(filepath) {
+    if (cache.has(filepath)) return cache.get(filepath);
+
+    const config = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    const problems = validateSelectors(config);
+    if (problems.length > 0) {
+        throw new Error(`Invalid selector config ${filepath}:\n  ${problems.join('\n  ')}`);
+    }
+    cache.set(filepath, config);
+    return config;
+}
+
+/**
+ * The selector config of a site adapter: config/sites/<name>.json, or the
+ * file of that name under SELECTORS_DIR when it is set.
+ */
+function loadSiteSelectors(site) {
+    return loadSelectors(selectorsPath(site.name));
+}
+
+/**
+ * Runs inside the browser via page.evaluate, so it must stay self-contained.
+ * In 'listing' mode it returns one object per product card; in 'product'
+ * mode one object for the whole page. Each field takes the value of its
+ * first strategy that yields something.
+ */
+function extractInPage(config, mode) {
+    const clean = (text) => {
+        if (text === undefined || text === null) return null;
+        const value = String(text).replace(/\s+/g, ' ').trim();
+        return value || null;
+    };
+
+    let jsonLdProduct;
+    const getJsonLdProduct = () => {
+        if (jsonLdProduct !== undefined) return jsonLdProduct;
+        jsonLdProduct = null;
+        const nodes = [];
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                const data = JSON.parse(script.textContent);
+                const queue = Array.isArray(data) ? [...data] : [data];
+                while (queue.length > 0) {
+                    const node = queue.shift();
+                    if (!node || typeof node !== 'object') continue;
+                    nodes.push(node);
+                    if (Array.isArray(node['@graph'])) queue.push(...node['@graph']);
+                }
+            } catch (err) {
+                // Ignore malformed blocks; other strategies may still work
+            }
+        });
+        jsonLdProduct = nodes.find(node => [].concat(node['@type']).includes('Product')) || null;
+        return jsonLdProduct;
+    };
+
+    const readPath = (object, dottedPath) => dottedPath.split('.').reduce((value, key) => {
+        if (value === null || value === undefined) return null;
+        const current = Array.isArray(value) ? value[0] : value;
+        return current === null || current === undefined ? null : current[key];
+    }, object);
+
+    const applyPattern = (value, pattern) => {
+        if (value === null || !pattern) return value;
+        const match = value.match(new RegExp(pattern));
+        return match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+    };
+
+    // Returns { value, found } where `found` says whether the target existed at all
+    const runStrategy = (strategy, root) => {
+        if (strategy.css !== undefined) {
+            const element = root.querySelector(strategy.css);
+            if (!element) return { value: null, found: false };
+            let value;
+            if (strategy.attr) {
+                const raw = element.getAttribute(strategy.attr);
+                value = raw && (strategy.attr === 'href' || strategy.attr === 'src')
+                    ? new URL(raw, document.baseURI).href
+                    : raw;
+            } else {
+                value = element.innerText !== undefined ? element.innerText : element.textContent;
+            }
+            return { value: applyPattern(clean(value), strategy.pattern), found: true };
+        }
+        if (strategy.jsonld !== undefined) {
+            const product = getJsonLdProduct();
+            let value = product ? readPath(product, strategy.jsonld) : null;
+            if (Array.isArray(value)) value = value[0];
+            if (value !== null && typeof value === 'object') return { value: null, found: true };
+            return { value: applyPattern(clean(value), strategy.pattern), found: value !== null && value !== undefined };
+        }
+        if (strategy.meta !== undefined) {
+            const element = document.querySelector(`meta[property="${strategy.meta}"], meta[name="${strategy.meta}"]`);
+            if (!element) return { value: null, found: false };
+            return { value: applyPattern(clean(element.getAttribute('content')), strategy.pattern), found: true };
+        }
+        if (strategy.text !== undefined) {
+            const text = root.innerText !== undefined ? root.innerText : root.textContent;
+            const match = (text || '').match(new RegExp(strategy.text));
+            if (!match) return { value: null, found: false };
+            return { value: clean(match[1] !== undefined ? match[1] : match[0]), found: true };
+        }
+        return { value: null, found: false };
+    };
+
+    const resolveFields = (fields, root, defaults = {}) => {
+        const result = {};
+        Object.entries(fields).forEach(([field, strategies]) => {
+            let value = null;
+            let found = false;
+            for (const strategy of strategies) {
+                const outcome = runStrategy(strategy, root);
+                found = found || outcome.found;
+                if (outcome.value !== null) {
+                    value = outcome.value;
+                    break;
+                }
+            }
+            // Defaults only stand in for elements that are legitimately absent
+            if (value === null && !found && defaults[field] !== undefined) {
+                value = defaults[field];
+            }
+            result[field] = value;
+        });
+        return result;
+    };
+
+    const firstMatching = (selectors) => selectors.find(selector => document.querySelector(selector)) || null;
+
+    if (mode === 'listing') {
+        const cardSelector = firstMatching(config.card);
+        if (!cardSelector) return [];
+        return [...document.querySelectorAll(cardSelector)].map(card => resolveFields(config.fields, card));
+    }
+    return resolveFields(config.fields, document.body || document.documentElement, config.defaults);
+}
+
+/**
+ * Server-side counterpart of extractInPage for HTML fetched without a
+ * browser. `$` is a loaded cheerio document and `jsonLd` the page's JSON-LD
+ * Product node, if any. Follows the same strategy and default rules.
+ */
+function extractWithCheerio($, config, mode, { baseUrl, jsonLd = null } = {}) {
+    const clean = (text) => {
+        if (text === undefined || text === null) return null;
+        const value = String(text).replace(/\s+/g, ' ').trim();
+        return value || null;
+    };
+    const applyPattern = (value, pattern) => {
+        if (value === null || !pattern) return value;
+        const match = value.match(new RegExp(pattern));
+        return match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+    };
+    const readPath = (object, dottedPath) => dottedPath.split('.').reduce((value, key) => {
+        if (value === null || value === undefined) return null;
+        const current = Array.isArray(value) ? value[0] : value;
+        return current === null || current === undefined ? null : current[key];
+    }, object);
+
+    const runStrategy = (strategy, root) => {
+        if (strategy.css !== undefined) {
+            const element = root.find(strategy.css).first();
+            if (element.length === 0) return { value: null, found: false };
+            let value;
+            if (strategy.attr) {
+                const raw = element.attr(strategy.attr);
+                value = raw && (strategy.attr === 'href' || strategy.attr === 'src') ? new URL(raw, baseUrl).href : raw;
+            } else {
+                value = element.text();
+            }
+            return { value: applyPattern(clean(value), strategy.pattern), found: true };
+        }
+        if (strategy.jsonld !== undefined) {
+            let value = jsonLd ? readPath(jsonLd, strategy.jsonld) : null;
+            if (Array.isArray(value)) value = value[0];
+            if (value !== null && typeof value === 'object') return { value: null, found: true };
+            return { value: applyPattern(clean(value), strategy.pattern), found: value !== null && value !== undefined };
+        }
+        if (strategy.meta !== undefined) {
+            const element = $(`meta[property="${strategy.meta}"], meta[name="${strategy.meta}"]`).first();
+            if (element.length === 0) return { value: null, found: false };
+            return { value: applyPattern(clean(element.attr('content')), strategy.pattern), found: true };
+        }
+        if (strategy.text !== undefined) {
+            const match = (root.text() || '').match(new RegExp(strategy.text));
+            if (!match) return { value: null, found: false };
+            return { value: clean(match[1] !== undefined ? match[1] : match[0]), found: true };
+        }
+        return { value: null, found: false };
+    };
+
+    const resolveFields = (fields, root, defaults = {}) => {
+        const result = {};
+        Object.entries(fields).forEach(([field, strategies]) => {
+            let value = null;
+            let found = false;
+            for (const strategy of strategies) {
+                const outcome = runStrategy(strategy, root);
+                found = found || outcome.found;
+                if (outcome.value !== null) {
+                    value = outcome.value;
+                    break;
+                }
+            }
+            if (value === null && !found && defaults[field] !== undefined) {
+                value = defaults[field];
+            }
+            result[field] = value;
+        });
+        return result;
+    };
+
+    if (mode === 'listing') {
+        const cardSelector = config.card.find(selector => $(selector).length > 0);
+        if (!cardSelector) return [];
+        return $(cardSelector).toArray().map(card => resolveFields(config.fields, $(card)));
+    }
+    return resolveFields(config.fields, $.root(), config.defaults);
+}
+
+module.exports = {
+    SELECTORS_DIR,
+    PRODUCT_SECTIONS,
+    selectorsPath,
+    loadSelectors,
+    loadSiteSelectors,
+    validateSelectors,
+    extractInPage,
+    extractWithCheerio
+};
@@ -0,0 +1,28 @@
+// ASINs sit after /dp/, /gp/product/ or /product-reviews/ in product URLs
+const ASIN_PATTERN = /\/(?:dp|gp\/product|gp\/aw\/d|product-reviews)\/([A-Z0-9]{10})(?:[/?#]|$)/i;
+
+/**
+ * The ASIN (e.g. "B08N5WRWNW") from a product URL, or null when the URL
+ * carries none.
+ */
+function parseProductId(url) {
+    const match = String(url).match(ASIN_PATTERN);
+    return match ? match[1].toUpperCase() : null;
+}
+
+// "/Some-Title/dp/B08N5WRWNW/ref=sr_1_3?keywords=..." -> "/dp/B08N5WRWNW"; the
+// slug and ref segments differ per listing that links to the product
+function normalizeUrl(url) {
+    const asin = parseProductId(url);
+    if (!asin) return String(url).split('#')[0];
+    return `${new URL(url).origin}/dp/${asin}`;
+}
+
+module.exports = {
+    name: 'amazon',
+    label: 'Amazon',
+    // amazon.com, amazon.co.uk, amazon.co.za, amazon.de, ...
+    hostPattern: /(^|\.)amazon\.(com|ca|de|fr|it|es|in|nl|se|pl|sg|ae|sa|com\.(au|br|mx|tr|be)|co\.(uk|za|jp))$/i,
+    parseProductId,
+    normalizeUrl
+};
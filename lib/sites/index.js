@@ -0,0 +1,86 @@
+const takealot = require('./takealot');
+const amazon = require('./amazon');
+
+/**
+ * Site adapters, one module per storefront. Each exports:
+ *
+ * - `name`, `label`: identifier (also the selector config file name,
+ *   config/sites/<name>.json) and display name
+ * - `hostPattern`: matched against the hostname of a URL to pick the adapter
+ * - `parseProductId(url)`: the site's product ID, or null
+ * - `normalizeUrl(url)`: canonical form of a product URL
+ * - `listingApi` (optional): `{ url(listingUrl), parsePage(data, pageUrl), maxPages }`
+ *   for sites whose listings are cheaper to read from a JSON API than from HTML
+ *
+ * Listing cards and product details are read with the selectors of the
+ * site's config file.
+ */
+const SITES = [takealot, amazon];
+
+const SITE_NAMES = SITES.map(site => site.name);
+
+/**
+ * The adapter for the hostname of `url`, or null when no site claims it.
+ */
+function siteFor(url) {
+    let hostname;
+    try {
+        ({ hostname } = new URL(url));
+    } catch (err) {
+        return null;
+    }
+    return SITES.find(site => site.hostPattern.test(hostname)) || null;
+}
+
+function getSite(name) {
+    const site = SITES.find(candidate => candidate.name === name);
+    if (!site) {
+        throw new Error(`Unknown site "${name}". Use one of: ${SITE_NAMES.join(', ')}`);
+    }
+    return site;
+}
+
+/**
+ * Picks the adapter for a run: the one named by `name` if given, otherwise
+ * the one matching the seed URLs. Throws when a seed belongs to no known
+ * site or the seeds span several sites.
+ */
+function resolveSite(urls, name = null) {
+    if (name) return getSite(name);
+
+    const sites = new Set();
+    for (const url of [].concat(urls)) {
+        const site = siteFor(url);
+        if (!site) {
+            throw new Error(`No site adapter for ${url}. Supported sites: ${SITES.map(s => s.label).join(', ')}`);
+        }
+        sites.add(site);
+    }
+    if (sites.size > 1) {
+        throw new Error('All URLs of a run must belong to the same site');
+    }
+    return [...sites][0];
+}
+
+/**
+ * Product ID of a product URL, parsed by the site the URL belongs to. URLs on
+ * other hosts (mirrors, saved pages) are tried against every site.
+ */
+function parseProductId(url) {
+    if (!url) return null;
+    const site = siteFor(url);
+    for (const candidate of site ? [site] : SITES) {
+        const id = candidate.parseProductId(url);
+        if (id) return id;
+    }
+    return null;
+}
+
+module.exports = {
+    SITES,
+    SITE_NAMES,
+    siteFor,
+    getSite,
+    resolveSite,
+    parseProductId
+};
@@ -0,0 +1,78 @@
+const API_BASE = process.env.TAKEALOT_API_BASE || 'https://api.takealot.com/rest/v-1-10-0';
+
+/**
+ * "PLID12345678" from a product URL, or null when the URL carries no PLID.
+ */
+function parseProductId(url) {
+    const match = String(url).match(/\/(PLID\d+)(?:[/?#]|$)/i);
+    return match ? match[1].toUpperCase() : null;
+}
+
+// Product pages are addressed by their PLID; query strings only carry tracking
+function normalizeUrl(url) {
+    return String(url).split(/[?#]/)[0];
+}
+
+/**
+ * Maps a storefront listing URL onto the search API that backs it. Query
+ * parameters carry over as-is; category pages ("/computers/laptops-21568")
+ * become a Category filter.
+ */
+function searchApiUrl(url) {
+    const { pathname, searchParams } = new URL(url);
+    const apiUrl = new URL(`${API_BASE}/searches/products`);
+    searchParams.forEach((value, key) => apiUrl.searchParams.append(key, value));
+
+    const category = pathname.match(/-(\d+)\/?$/);
+    if (category && !searchParams.getAll('filter').some(filter => filter.startsWith('Category:'))) {
+        apiUrl.searchParams.append('filter', `Category:${category[1]}`);
+    }
+    return apiUrl.href;
+}
+
+function apiResultToListing(view) {
+    const core = view.core || {};
+    const buybox = view.buybox_summary || {};
+    const images = (view.gallery && view.gallery.images) || [];
+    if (!core.id || !core.title) return null;
+
+    return {
+        title: core.title,
+        productUrl: `https://www.takealot.com/${core.slug || 'product'}/PLID${core.id}`,
+        price: Array.isArray(buybox.prices) && buybox.prices.length > 0 ? buybox.prices[0] : null,
+        listPrice: buybox.listing_price ?? null,
+        imageUrl: images.length > 0 ? images[0].replace('{size}', 'pdpxl') : null
+    };
+}
+
+/**
+ * One page of search API results as raw listing values shaped like those
+ * read off product cards, plus the URL of the next page.
+ */
+function parseSearchApiPage(data, pageUrl) {
+    const products = (data && data.sections && data.sections.products) || {};
+    const results = products.results || [];
+
+    const after = products.paging && products.paging.next_is_after;
+    const nextUrl = new URL(pageUrl);
+    nextUrl.searchParams.set('after', after);
+    return {
+        listings: results.map(result => apiResultToListing(result.product_views || {})).filter(Boolean),
+        nextUrl: after ? nextUrl.href : null
+    };
+}
+
+module.exports = {
+    name: 'takealot',
+    label: 'Takealot',
+    hostPattern: /(^|\.)takealot\.com$/i,
+    parseProductId,
+    normalizeUrl,
+    // Listings come from the search API, so nothing is lost to "load more" buttons
+    listingApi: {
+        url: searchApiUrl,
+        parsePage: parseSearchApiPage,
+        // Upper bound on pages when the run sets no maxPages
+        maxPages: 50
+    }
+};
@@ -0,0 +1,828 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { parseProductId, parsePrice, computeDiscount } = require('./product');
+
+const DEFAULT_DB_PATH = path.join(process.cwd(), 'data', 'products.db');
+
+// Fields run products can be sorted by, and the columns behind them
+const PRODUCT_SORTS = {
+    title: 'p.title',
+    price: 'o.price',
+    listPrice: 'o.list_price',
+    discount: 'o.discount',
+    seller: 'o.seller',
+    brand: 'p.brand',
+    rating: 'o.rating',
+    reviewCount: 'o.review_count',
+    observedAt: 'o.observed_at'
+};
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        product_count INTEGER,
+        mode TEXT,
+        seeds TEXT,
+        owner TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS products (
+        product_id TEXT PRIMARY KEY,
+        title TEXT,
+        product_url TEXT,
+        image_url TEXT,
+        brand TEXT,
+        gtin TEXT,
+        sku TEXT,
+        categories TEXT,
+        warranty TEXT,
+        attributes TEXT,
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS observations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id TEXT NOT NULL REFERENCES products(product_id),
+        run_id INTEGER NOT NULL REFERENCES runs(id),
+        observed_at TEXT NOT NULL,
+        price REAL,
+        list_price REAL,
+        currency TEXT,
+        discount REAL,
+        seller TEXT,
+        additional_sellers INTEGER,
+        availability TEXT,
+        rating REAL,
+        review_count INTEGER,
+        rating_distribution TEXT,
+        errors TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS watchlists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        urls TEXT NOT NULL,
+        schedule TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        owner TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS watchlist_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        watchlist_id INTEGER NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        run_id INTEGER REFERENCES runs(id),
+        status TEXT NOT NULL,
+        error TEXT,
+        started_at TEXT NOT NULL,
+        finished_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        params TEXT NOT NULL,
+        webhook_url TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+        run_id INTEGER REFERENCES runs(id),
+        webhook_url TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        finished_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS offers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL REFERENCES runs(id),
+        product_id TEXT NOT NULL REFERENCES products(product_id),
+        seller TEXT,
+        price REAL,
+        currency TEXT,
+        condition TEXT,
+        delivery_estimate TEXT,
+        is_buy_box_winner INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id TEXT NOT NULL REFERENCES products(product_id),
+        run_id INTEGER NOT NULL REFERENCES runs(id),
+        author TEXT,
+        review_date TEXT,
+        rating REAL,
+        body TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS image_files (
+        sha256 TEXT PRIMARY KEY,
+        phash TEXT,
+        path TEXT NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        first_seen_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS product_images (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id TEXT NOT NULL REFERENCES products(product_id),
+        run_id INTEGER NOT NULL REFERENCES runs(id),
+        sha256 TEXT NOT NULL REFERENCES image_files(sha256),
+        url TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS observations_product_idx ON observations (product_id, observed_at);
+    CREATE INDEX IF NOT EXISTS observations_run_idx ON observations (run_id);
+    CREATE INDEX IF NOT EXISTS offers_run_idx ON offers (run_id, product_id);
+    CREATE INDEX IF NOT EXISTS image_files_phash_idx ON image_files (phash);
+    CREATE INDEX IF NOT EXISTS product_images_sha_idx ON product_images (sha256);
+    -- The same review seen again by a later run is not stored twice
+    CREATE UNIQUE INDEX IF NOT EXISTS reviews_identity_idx
+        ON reviews (product_id, COALESCE(author, ''), COALESCE(review_date, ''), COALESCE(body, ''));
+`;
+
+function addColumnIfMissing(db, table, column, type) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(info => info.name);
+    if (!columns.includes(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+}
+
+// Version 1: observations used to hold display strings ("R 1,299", "N/A",
+// "No additional sellers"); rebuild the table with numeric columns
+function migrateTypedObservations(db) {
+    db.exec('ALTER TABLE observations RENAME TO observations_v0');
+    db.exec(SCHEMA);
+
+    const insert = db.prepare(`
+        INSERT INTO observations (id, product_id, run_id, observed_at, price, list_price, currency, discount, seller, additional_sellers, errors)
+        VALUES (@id, @productId, @runId, @observedAt, @price, @listPrice, @currency, @discount, @seller, @additionalSellers, '[]')
+    `);
+    for (const row of db.prepare('SELECT * FROM observations_v0').all()) {
+        const price = parsePrice(row.price);
+        const listPrice = parsePrice(row.list_price);
+        const offers = parseInt(row.additional_sellers, 10);
+        insert.run({
+            id: row.id,
+            productId: row.product_id,
+            runId: row.run_id,
+            observedAt: row.observed_at,
+            price: price ? price.amount : null,
+            listPrice: listPrice ? listPrice.amount : null,
+            currency: price ? price.currency : null,
+            discount: computeDiscount(price ? price.amount : null, listPrice ? listPrice.amount : null),
+            seller: row.seller && !/^(No seller|Error fetching)/.test(row.seller) ? row.seller : null,
+            additionalSellers: row.additional_sellers === 'No additional sellers' ? 0 : (Number.isNaN(offers) ? null : offers)
+        });
+    }
+
+    db.exec('DROP TABLE observations_v0');
+    db.exec(SCHEMA);
+}
+
+function toProduct(row) {
+    return {
+        productId: row.product_id,
+        title: row.title,
+        productUrl: row.product_url,
+        imageUrl: row.image_url,
+        price: row.price,
+        listPrice: row.list_price,
+        currency: row.currency,
+        discount: row.discount,
+        seller: row.seller,
+        brand: row.brand,
+        additionalSellers: row.additional_sellers,
+        availability: row.availability,
+        gtin: row.gtin,
+        sku: row.sku,
+        categories: JSON.parse(row.categories || '[]'),
+        warranty: row.warranty,
+        attributes: JSON.parse(row.attributes || '{}'),
+        rating: row.rating,
+        reviewCount: row.review_count,
+        ratingDistribution: row.rating_distribution ? JSON.parse(row.rating_distribution) : null,
+        errors: JSON.parse(row.errors || '[]'),
+        observedAt: row.observed_at
+    };
+}
+
+// Product catalogue data without any one run's observation
+function toCatalogueProduct(row) {
+    return {
+        productId: row.product_id,
+        title: row.title,
+        productUrl: row.product_url,
+        imageUrl: row.image_url,
+        brand: row.brand,
+        gtin: row.gtin,
+        sku: row.sku,
+        categories: JSON.parse(row.categories || '[]'),
+        warranty: row.warranty,
+        firstSeenAt: row.first_seen_at,
+        lastSeenAt: row.last_seen_at
+    };
+}
+
+function toObservation(row) {
+    return {
+        runId: row.run_id,
+        observedAt: row.observed_at,
+        price: row.price,
+        listPrice: row.list_price,
+        currency: row.currency,
+        discount: row.discount,
+        seller: row.seller,
+        additionalSellers: row.additional_sellers,
+        availability: row.availability,
+        rating: row.rating,
+        reviewCount: row.review_count
+    };
+}
+
+function toOffer(row) {
+    return {
+        seller: row.seller,
+        price: row.price,
+        currency: row.currency,
+        condition: row.condition,
+        deliveryEstimate: row.delivery_estimate,
+        isBuyBoxWinner: Boolean(row.is_buy_box_winner)
+    };
+}
+
+function toReview(row) {
+    return {
+        productId: row.product_id,
+        runId: row.run_id,
+        author: row.author,
+        date: row.review_date,
+        rating: row.rating,
+        body: row.body
+    };
+}
+
+function toRun(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        // Runs of a single URL store no seed list
+        seeds: row.seeds ? JSON.parse(row.seeds) : [row.url],
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        productCount: row.product_count,
+        mode: row.mode,
+        owner: row.owner
+    };
+}
+
+// SQL condition for the runs (aliased `alias`) the API key named @viewer may
+// see: its own and ownerless ones. A null viewer sees every run.
+function visibleRun(alias) {
+    return `(@viewer IS NULL OR ${alias}.owner IS NULL OR ${alias}.owner = @viewer)`;
+}
+
+function toWatchlist(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        urls: JSON.parse(row.urls),
+        schedule: row.schedule,
+        enabled: Boolean(row.enabled),
+        owner: row.owner,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function toAlertRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        params: JSON.parse(row.params),
+        webhookUrl: row.webhook_url,
+        enabled: Boolean(row.enabled),
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * SQLite-backed store that keeps one row per product and a timestamped
+ * observation row each time a run sees it, so prices can be tracked over time.
+ */
+class ProductStore {
+    constructor(dbPath = process.env.DB_PATH || DEFAULT_DB_PATH) {
+        if (dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+        this.db = new Database(dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+        this.migrate();
+    }
+
+    /**
+     * Upgrades databases created by older versions, tracked via user_version.
+     */
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+        if (version < 1) {
+            const columns = this.db.prepare('PRAGMA table_info(observations)').all().map(column => column.name);
+            if (!columns.includes('currency')) {
+                this.db.transaction(() => migrateTypedObservations(this.db))();
+            }
+            this.db.pragma('user_version = 1');
+        }
+        if (version < 2) {
+            // Version 2: structured-data fields
+            this.db.transaction(() => {
+                addColumnIfMissing(this.db, 'products', 'gtin', 'TEXT');
+                addColumnIfMissing(this.db, 'products', 'sku', 'TEXT');
+                addColumnIfMissing(this.db, 'observations', 'availability', 'TEXT');
+                addColumnIfMissing(this.db, 'observations', 'rating', 'REAL');
+                addColumnIfMissing(this.db, 'observations', 'review_count', 'INTEGER');
+            })();
+            this.db.pragma('user_version = 2');
+        }
+        if (version < 3) {
+            // Version 3: how the run fetched its pages
+            addColumnIfMissing(this.db, 'runs', 'mode', 'TEXT');
+            this.db.pragma('user_version = 3');
+        }
+        if (version < 4) {
+            // Version 4: multi-seed runs; NULL for runs of a single URL
+            addColumnIfMissing(this.db, 'runs', 'seeds', 'TEXT');
+            this.db.pragma('user_version = 4');
+        }
+        if (version < 5) {
+            // Version 5: the offers table, created by SCHEMA above
+            this.db.pragma('user_version = 5');
+        }
+        if (version < 6) {
+            // Version 6: rating breakdowns; the reviews table is created by SCHEMA above
+            addColumnIfMissing(this.db, 'observations', 'rating_distribution', 'TEXT');
+            this.db.pragma('user_version = 6');
+        }
+        if (version < 7) {
+            // Version 7: catalogue data from breadcrumbs and spec tables
+            this.db.transaction(() => {
+                addColumnIfMissing(this.db, 'products', 'categories', 'TEXT');
+                addColumnIfMissing(this.db, 'products', 'warranty', 'TEXT');
+                addColumnIfMissing(this.db, 'products', 'attributes', 'TEXT');
+            })();
+            this.db.pragma('user_version = 7');
+        }
+        if (version < 8) {
+            // Version 8: archived images, tables created by SCHEMA above
+            this.db.pragma('user_version = 8');
+        }
+        if (version < 9) {
+            // Version 9: the API key a watchlist's scheduled runs count against
+            addColumnIfMissing(this.db, 'watchlists', 'owner', 'TEXT');
+            this.db.pragma('user_version = 9');
+        }
+        if (version < 10) {
+            // Version 10: the API key that started a run
+            addColumnIfMissing(this.db, 'runs', 'owner', 'TEXT');
+            this.db.pragma('user_version = 10');
+        }
+    }
+
+    /**
+     * Persists a finished run and all of its products in one transaction.
+     * Products without a parsable ID are skipped. Returns the new run ID.
+     */
+    saveRun(meta, products) {
+        const insertRun = this.db.prepare(`
+            INSERT INTO runs (url, started_at, finished_at, product_count, mode, seeds, owner)
+            VALUES (@url, @startedAt, @finishedAt, @productCount, @mode, @seeds, @owner)
+        `);
+        const upsertProduct = this.db.prepare(`
+            INSERT INTO products (product_id, title, product_url, image_url, brand, gtin, sku, categories, warranty, attributes,
+                                  first_seen_at, last_seen_at)
+            VALUES (@productId, @title, @productUrl, @imageUrl, @brand, @gtin, @sku, @categories, @warranty, @attributes,
+                    @observedAt, @observedAt)
+            ON CONFLICT (product_id) DO UPDATE SET
+                title = excluded.title,
+                product_url = excluded.product_url,
+                image_url = excluded.image_url,
+                brand = excluded.brand,
+                gtin = COALESCE(excluded.gtin, products.gtin),
+                sku = COALESCE(excluded.sku, products.sku),
+                categories = COALESCE(excluded.categories, products.categories),
+                warranty = COALESCE(excluded.warranty, products.warranty),
+                attributes = COALESCE(excluded.attributes, products.attributes),
+                last_seen_at = excluded.last_seen_at
+        `);
+        const insertObservation = this.db.prepare(`
+            INSERT INTO observations (product_id, run_id, observed_at, price, list_price, currency, discount, seller,
+                                      additional_sellers, availability, rating, review_count, rating_distribution, errors)
+            VALUES (@productId, @runId, @observedAt, @price, @listPrice, @currency, @discount, @seller,
+                    @additionalSellers, @availability, @rating, @reviewCount, @ratingDistribution, @errors)
+        `);
+        const insertOffer = this.db.prepare(`
+            INSERT INTO offers (run_id, product_id, seller, price, currency, condition, delivery_estimate, is_buy_box_winner)
+            VALUES (@runId, @productId, @seller, @price, @currency, @condition, @deliveryEstimate, @isBuyBoxWinner)
+        `);
+        const upsertImageFile = this.db.prepare(`
+            INSERT INTO image_files (sha256, phash, path, width, height, first_seen_at)
+            VALUES (@sha256, @phash, @path, @width, @height, @observedAt)
+            ON CONFLICT (sha256) DO NOTHING
+        `);
+        const insertProductImage = this.db.prepare(`
+            INSERT INTO product_images (product_id, run_id, sha256, url)
+            VALUES (@productId, @runId, @sha256, @url)
+        `);
+        // Reviews already stored by an earlier run keep the run_id they were first seen in
+        const insertReview = this.db.prepare(`
+            INSERT OR IGNORE INTO reviews (product_id, run_id, author, review_date, rating, body)
+            VALUES (@productId, @runId, @author, @date, @rating, @body)
+        `);
+
+        const save = this.db.transaction(() => {
+            const observedAt = meta.finishedAt || new Date().toISOString();
+            const runId = Number(insertRun.run({
+                url: meta.url,
+                startedAt: meta.startedAt,
+                finishedAt: meta.finishedAt || null,
+                productCount: products.length,
+                mode: meta.mode || null,
+                seeds: meta.seeds && meta.seeds.length > 1 ? JSON.stringify(meta.seeds) : null,
+                owner: meta.owner || null
+            }).lastInsertRowid);
+
+            for (const product of products) {
+                const productId = product.productId || parseProductId(product.productUrl);
+                if (!productId) continue;
+
+                upsertProduct.run({
+                    productId,
+                    title: product.title,
+                    productUrl: product.productUrl,
+                    imageUrl: product.imageUrl,
+                    brand: product.brand,
+                    gtin: product.gtin || null,
+                    sku: product.sku || null,
+                    // Empty lists mean "not found this time", so earlier values are kept
+                    categories: product.categories && product.categories.length > 0 ? JSON.stringify(product.categories) : null,
+                    warranty: product.warranty || null,
+                    attributes: product.attributes && Object.keys(product.attributes).length > 0
+                        ? JSON.stringify(product.attributes)
+                        : null,
+                    observedAt
+                });
+                insertObservation.run({
+                    productId,
+                    runId,
+                    observedAt,
+                    price: product.price,
+                    listPrice: product.listPrice,
+                    currency: product.currency,
+                    discount: product.discount,
+                    seller: product.seller,
+                    additionalSellers: product.additionalSellers,
+                    availability: product.availability || null,
+                    rating: product.rating ?? null,
+                    reviewCount: product.reviewCount ?? null,
+                    ratingDistribution: product.ratingDistribution ? JSON.stringify(product.ratingDistribution) : null,
+                    errors: JSON.stringify(product.errors || [])
+                });
+                for (const offer of product.offers || []) {
+                    insertOffer.run({
+                        runId,
+                        productId,
+                        seller: offer.seller ?? null,
+                        price: offer.price ?? null,
+                        currency: offer.currency ?? null,
+                        condition: offer.condition ?? null,
+                        deliveryEstimate: offer.deliveryEstimate ?? null,
+                        isBuyBoxWinner: offer.isBuyBoxWinner ? 1 : 0
+                    });
+                }
+                for (const file of product.imageFiles || []) {
+                    upsertImageFile.run({
+                        sha256: file.sha256,
+                        phash: file.phash ?? null,
+                        path: file.path,
+                        width: file.width ?? null,
+                        height: file.height ?? null,
+                        observedAt
+                    });
+                    insertProductImage.run({ productId, runId, sha256: file.sha256, url: file.url ?? null });
+                }
+                for (const review of product.reviews || []) {
+                    insertReview.run({
+                        productId,
+                        runId,
+                        author: review.author ?? null,
+                        date: review.date ?? null,
+                        rating: review.rating ?? null,
+                        body: review.body ?? null
+                    });
+                }
+            }
+            return runId;
+        });
+
+        return save();
+    }
+
+    /**
+     * A page of the runs `viewer` may see (see visibleRun), newest first.
+     */
+    getRuns(limit = 50, offset = 0, viewer = null) {
+        return this.db.prepare(`
+            SELECT * FROM runs r WHERE ${visibleRun('r')} ORDER BY started_at DESC LIMIT @limit OFFSET @offset
+        `).all({ viewer, limit, offset }).map(toRun);
+    }
+
+    countRuns(viewer = null) {
+        return this.db.prepare(`SELECT COUNT(*) AS count FROM runs r WHERE ${visibleRun('r')}`).get({ viewer }).count;
+    }
+
+    getRun(runId) {
+        const row = this.db.prepare('SELECT * FROM runs WHERE id = ?').get(runId);
+        return row ? toRun(row) : null;
+    }
+
+    /**
+     * Returns the most recent run of the same URL (or set of seed URLs), by
+     * the same API key, that happened before `runId`.
+     */
+    getPreviousRun(runId) {
+        const row = this.db.prepare(`
+            SELECT prev.* FROM runs prev
+            JOIN runs cur ON cur.url = prev.url AND cur.seeds IS prev.seeds AND cur.owner IS prev.owner
+            WHERE cur.id = ? AND prev.id < cur.id
+            ORDER BY prev.id DESC
+            LIMIT 1
+        `).get(runId);
+        return row ? toRun(row) : null;
+    }
+
+    /**
+     * Returns the products observed in a run, in the scraper's product shape.
+     */
+    getRunProducts(runId) {
+        return this.queryRunProducts(runId, { limit: -1 }).products;
+    }
+
+    /**
+     * Products of a run matching `filters` (seller, brand, minPrice, maxPrice,
+     * minDiscount), ordered by `sort` (a PRODUCT_SORTS key, descending with a
+     * leading "-"; empty values last) and paged by `limit` (-1 for all) and
+     * `offset`. Returns `{ total, products }`, total counting every match.
+     */
+    queryRunProducts(runId, { seller, brand, minPrice, maxPrice, minDiscount, sort = null, limit = 100, offset = 0 } = {}) {
+        const conditions = ['o.run_id = @runId'];
+        if (seller !== undefined) conditions.push('o.seller = @seller COLLATE NOCASE');
+        if (brand !== undefined) conditions.push('p.brand = @brand COLLATE NOCASE');
+        if (minPrice !== undefined) conditions.push('o.price >= @minPrice');
+        if (maxPrice !== undefined) conditions.push('o.price <= @maxPrice');
+        if (minDiscount !== undefined) conditions.push('o.discount >= @minDiscount');
+        const params = { runId, seller, brand, minPrice, maxPrice, minDiscount, limit, offset };
+
+        const from = `
+            FROM observations o
+            JOIN products p ON p.product_id = o.product_id
+            WHERE ${conditions.join(' AND ')}
+        `;
+        const { total } = this.db.prepare(`SELECT COUNT(*) AS total ${from}`).get(params);
+
+        let order = 'o.id';
+        if (sort) {
+            const column = PRODUCT_SORTS[sort.replace(/^-/, '')];
+            if (!column) throw new Error(`Unknown sort field: ${sort}`);
+            order = `${column} IS NULL, ${column} ${sort.startsWith('-') ? 'DESC' : 'ASC'}, o.id`;
+        }
+        const rows = this.db.prepare(`
+            SELECT p.product_id, p.title, p.product_url, p.image_url, p.brand, p.gtin, p.sku,
+                   p.categories, p.warranty, p.attributes, o.*
+            ${from}
+            ORDER BY ${order}
+            LIMIT @limit OFFSET @offset
+        `).all(params);
+
+        const offers = new Map();
+        if (rows.length > 0) {
+            for (const row of this.db.prepare('SELECT * FROM offers WHERE run_id = ? ORDER BY id').all(runId)) {
+                if (!offers.has(row.product_id)) offers.set(row.product_id, []);
+                offers.get(row.product_id).push(toOffer(row));
+            }
+        }
+        return { total, products: rows.map(row => ({ ...toProduct(row), offers: offers.get(row.product_id) || [] })) };
+    }
+
+    getProduct(productId) {
+        const row = this.db.prepare('SELECT * FROM products WHERE product_id = ?').get(productId);
+        return row ? toCatalogueProduct(row) : null;
+    }
+
+    /**
+     * Returns every observation of a product in the runs `viewer` may see,
+     * oldest first.
+     */
+    getHistory(productId, viewer = null) {
+        return this.db.prepare(`
+            SELECT o.run_id, o.observed_at, o.price, o.list_price, o.currency, o.discount, o.seller, o.additional_sellers,
+                   o.availability, o.rating, o.review_count
+            FROM observations o
+            JOIN runs r ON r.id = o.run_id
+            WHERE o.product_id = @productId AND ${visibleRun('r')}
+            ORDER BY o.observed_at
+        `).all({ productId, viewer }).map(toObservation);
+    }
+
+    /**
+     * Groups of archived images whose perceptual hash appears on more than
+     * one product, i.e. the same picture reused across listings. Each group
+     * lists the products with the seller seen when the image was archived.
+     * Only images archived by runs `viewer` may see count.
+     */
+    getReusedImages(limit = 100, viewer = null) {
+        const rows = this.db.prepare(`
+            WITH visible AS (
+                SELECT pi.* FROM product_images pi
+                JOIN runs ru ON ru.id = pi.run_id
+                WHERE ${visibleRun('ru')}
+            ),
+            reused AS (
+                SELECT f.phash FROM visible pi
+                JOIN image_files f ON f.sha256 = pi.sha256
+                WHERE f.phash IS NOT NULL
+                GROUP BY f.phash
+                HAVING COUNT(DISTINCT pi.product_id) > 1
+                LIMIT @limit
+            )
+            SELECT f.phash, f.path, pi.product_id, pi.url, p.title, o.seller, MAX(pi.run_id) AS run_id
+            FROM visible pi
+            JOIN image_files f ON f.sha256 = pi.sha256
+            JOIN reused r ON r.phash = f.phash
+            JOIN products p ON p.product_id = pi.product_id
+            LEFT JOIN observations o ON o.product_id = pi.product_id AND o.run_id = pi.run_id
+            GROUP BY f.phash, pi.product_id
+            ORDER BY f.phash, pi.product_id
+        `).all({ limit, viewer });
+
+        const groups = new Map();
+        for (const row of rows) {
+            if (!groups.has(row.phash)) groups.set(row.phash, { phash: row.phash, path: row.path, products: [] });
+            groups.get(row.phash).products.push({
+                productId: row.product_id,
+                title: row.title,
+                seller: row.seller,
+                imageUrl: row.url,
+                runId: row.run_id
+            });
+        }
+        return [...groups.values()];
+    }
+
+    /**
+     * Returns the stored reviews of a product from the runs `viewer` may
+     * see, newest first.
+     */
+    getProductReviews(productId, limit = 100, viewer = null) {
+        return this.db.prepare(`
+            SELECT rv.* FROM reviews rv
+            JOIN runs r ON r.id = rv.run_id
+            WHERE rv.product_id = @productId AND ${visibleRun('r')}
+            ORDER BY rv.review_date DESC, rv.id DESC
+            LIMIT @limit
+        `).all({ productId, limit, viewer }).map(toReview);
+    }
+
+    getWatchlists() {
+        return this.db.prepare('SELECT * FROM watchlists ORDER BY name').all().map(toWatchlist);
+    }
+
+    getWatchlist(id) {
+        const row = this.db.prepare('SELECT * FROM watchlists WHERE id = ?').get(id);
+        return row ? toWatchlist(row) : null;
+    }
+
+    createWatchlist({ name, urls, schedule, enabled = true, owner = null }) {
+        const now = new Date().toISOString();
+        const { lastInsertRowid } = this.db.prepare(`
+            INSERT INTO watchlists (name, urls, schedule, enabled, owner, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(name, JSON.stringify(urls), schedule, enabled ? 1 : 0, owner, now, now);
+        return this.getWatchlist(Number(lastInsertRowid));
+    }
+
+    updateWatchlist(id, changes) {
+        const current = this.getWatchlist(id);
+        if (!current) return null;
+
+        const next = { ...current, ...changes };
+        this.db.prepare(`
+            UPDATE watchlists SET name = ?, urls = ?, schedule = ?, enabled = ?, updated_at = ?
+            WHERE id = ?
+        `).run(next.name, JSON.stringify(next.urls), next.schedule, next.enabled ? 1 : 0, new Date().toISOString(), id);
+        return this.getWatchlist(id);
+    }
+
+    deleteWatchlist(id) {
+        return this.db.prepare('DELETE FROM watchlists WHERE id = ?').run(id).changes > 0;
+    }
+
+    startWatchlistRun(watchlistId, url) {
+        const { lastInsertRowid } = this.db.prepare(`
+            INSERT INTO watchlist_runs (watchlist_id, url, status, started_at)
+            VALUES (?, ?, 'running', ?)
+        `).run(watchlistId, url, new Date().toISOString());
+        return Number(lastInsertRowid);
+    }
+
+    finishWatchlistRun(id, { status, runId = null, error = null }) {
+        this.db.prepare(`
+            UPDATE watchlist_runs SET status = ?, run_id = ?, error = ?, finished_at = ?
+            WHERE id = ?
+        `).run(status, runId, error, new Date().toISOString(), id);
+    }
+
+    getWatchlistRuns(watchlistId, limit = 50) {
+        return this.db.prepare(`
+            SELECT * FROM watchlist_runs WHERE watchlist_id = ?
+            ORDER BY id DESC LIMIT ?
+        `).all(watchlistId, limit);
+    }
+
+    getAlertRules() {
+        return this.db.prepare('SELECT * FROM alert_rules ORDER BY id').all().map(toAlertRule);
+    }
+
+    getAlertRule(id) {
+        const row = this.db.prepare('SELECT * FROM alert_rules WHERE id = ?').get(id);
+        return row ? toAlertRule(row) : null;
+    }
+
+    createAlertRule({ name, type, params = {}, webhookUrl, enabled = true }) {
+        const { lastInsertRowid } = this.db.prepare(`
+            INSERT INTO alert_rules (name, type, params, webhook_url, enabled, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(name, type, JSON.stringify(params), webhookUrl, enabled ? 1 : 0, new Date().toISOString());
+        return this.getAlertRule(Number(lastInsertRowid));
+    }
+
+    updateAlertRule(id, changes) {
+        const current = this.getAlertRule(id);
+        if (!current) return null;
+
+        const next = { ...current, ...changes };
+        this.db.prepare(`
+            UPDATE alert_rules SET name = ?, type = ?, params = ?, webhook_url = ?, enabled = ?
+            WHERE id = ?
+        `).run(next.name, next.type, JSON.stringify(next.params), next.webhookUrl, next.enabled ? 1 : 0, id);
+        return this.getAlertRule(id);
+    }
+
+    deleteAlertRule(id) {
+        return this.db.prepare('DELETE FROM alert_rules WHERE id = ?').run(id).changes > 0;
+    }
+
+    createAlertDelivery(ruleId, runId, webhookUrl, payload) {
+        const { lastInsertRowid } = this.db.prepare(`
+            INSERT INTO alert_deliveries (rule_id, run_id, webhook_url, payload, status, created_at)
+            VALUES (?, ?, ?, ?, 'pending', ?)
+        `).run(ruleId, runId, webhookUrl, JSON.stringify(payload), new Date().toISOString());
+        return Number(lastInsertRowid);
+    }
+
+    finishAlertDelivery(id, { status, attempts, responseStatus = null, error = null }) {
+        this.db.prepare(`
+            UPDATE alert_deliveries SET status = ?, attempts = ?, response_status = ?, error = ?, finished_at = ?
+            WHERE id = ?
+        `).run(status, attempts, responseStatus, error, new Date().toISOString(), id);
+    }
+
+    getAlertDeliveries(limit = 100) {
+        return this.db.prepare('SELECT * FROM alert_deliveries ORDER BY id DESC LIMIT ?').all(limit)
+            .map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = { PRODUCT_SORTS, ProductStore };
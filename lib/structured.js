@@ -0,0 +1,324 @@
+// Global variables and script tags where storefronts commonly leave their
+// server-rendered state for client-side hydration
+const STATE_GLOBALS = ['__NEXT_DATA__', '__NUXT__', '__INITIAL_STATE__', '__PRELOADED_STATE__', '__APOLLO_STATE__'];
+const STATE_SCRIPT_IDS = ['__NEXT_DATA__', '__NUXT_DATA__', 'initial-state'];
+
+// Key names looked up in hydration state, most specific first
+const STATE_KEYS = {
+    gtin: ['gtin13', 'gtin', 'barcode', 'ean'],
+    sku: ['sku', 'tsin'],
+    rating: ['star_rating', 'average_rating', 'ratingValue', 'rating'],
+    reviewCount: ['review_count', 'reviewCount', 'num_reviews', 'ratingCount']
+};
+
+const MAX_STATE_NODES = 50000;
+
+/**
+ * Runs inside the browser via page.evaluate, so it must stay self-contained.
+ * Collects the raw machine-readable data on a product page: the JSON-LD
+ * Product (or ProductGroup) and BreadcrumbList nodes, Open Graph/product
+ * meta tags and any hydration state.
+ */
+function collectStructuredInPage(stateGlobals, stateScriptIds) {
+    const nodes = [];
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+            const data = JSON.parse(script.textContent);
+            const queue = Array.isArray(data) ? [...data] : [data];
+            while (queue.length > 0) {
+                const node = queue.shift();
+                if (!node || typeof node !== 'object') continue;
+                nodes.push(node);
+                if (Array.isArray(node['@graph'])) queue.push(...node['@graph']);
+            }
+        } catch (err) {
+            // Malformed blocks are common; skip them
+        }
+    });
+    const jsonLd = nodes.find(node => [].concat(node['@type']).includes('Product'))
+        || nodes.find(node => [].concat(node['@type']).includes('ProductGroup'))
+        || null;
+    const breadcrumb = nodes.find(node => [].concat(node['@type']).includes('BreadcrumbList')) || null;
+
+    const meta = {};
+    document.querySelectorAll('meta[property^="og:"], meta[property^="product:"], meta[name^="twitter:"]').forEach(element => {
+        const key = element.getAttribute('property') || element.getAttribute('name');
+        const content = element.getAttribute('content');
+        if (!content) return;
+        // og:image may repeat for galleries
+        if (meta[key] === undefined) meta[key] = content;
+        else meta[key] = [].concat(meta[key], content);
+    });
+
+    let state = null;
+    for (const name of stateGlobals) {
+        // Elements with a matching id are exposed as window globals too; skip those
+        if (window[name] && typeof window[name] === 'object' && !(window[name] instanceof Node)) {
+            try {
+                state = JSON.parse(JSON.stringify(window[name]));
+                break;
+            } catch (err) {
+                // Circular or non-serialisable state; try the next candidate
+            }
+        }
+    }
+    if (!state) {
+        for (const id of stateScriptIds) {
+            const script = document.getElementById(id);
+            if (!script) continue;
+            try {
+                state = JSON.parse(script.textContent);
+                break;
+            } catch (err) {
+                // Not JSON; try the next candidate
+            }
+        }
+    }
+
+    return { jsonLd, breadcrumb, meta, state };
+}
+
+function first(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(String(value).replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+function toText(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'object') return toText(value.name);
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text || null;
+}
+
+// "https://schema.org/InStock" -> "InStock"
+function normalizeAvailability(value) {
+    const text = toText(value);
+    return text ? text.replace(/^https?:\/\/schema\.org\//i, '') : null;
+}
+
+// "https://schema.org/NewCondition" -> "New"
+function normalizeCondition(value) {
+    const text = toText(value);
+    return text ? text.replace(/^https?:\/\/schema\.org\//i, '').replace(/Condition$/, '') : null;
+}
+
+/**
+ * Every individual offer listed in JSON-LD, whether given as an array of
+ * Offers or nested inside an AggregateOffer.
+ */
+function parseOffers(offers) {
+    return [].concat(offers || [])
+        .flatMap(offer => (offer && offer['@type'] === 'AggregateOffer' ? [].concat(offer.offers || []) : [offer]))
+        .filter(offer => offer && typeof offer === 'object' && offer['@type'] !== 'AggregateOffer')
+        .map(offer => ({
+            seller: toText(offer.seller),
+            price: toNumber(offer.price),
+            currency: toText(offer.priceCurrency),
+            condition: normalizeCondition(offer.itemCondition),
+            deliveryEstimate: null
+        }));
+}
+
+/**
+ * Individual reviews embedded in the JSON-LD Product node, shaped like the
+ * rows read off the reviews section.
+ */
+function parseReviews(reviews) {
+    return [].concat(reviews || [])
+        .filter(review => review && typeof review === 'object')
+        .map(review => ({
+            author: toText(review.author),
+            date: toText(review.datePublished),
+            rating: toNumber(review.reviewRating && review.reviewRating.ratingValue),
+            body: toText(review.reviewBody || review.description)
+        }));
+}
+
+// Spec-sheet style properties listed as schema.org PropertyValues
+function parseAttributes(properties) {
+    const attributes = {};
+    [].concat(properties || []).forEach(property => {
+        const name = property && toText(property.name);
+        const value = property && toText(property.value);
+        if (name && value) attributes[name] = value;
+    });
+    return attributes;
+}
+
+/**
+ * Variants of a ProductGroup, one per hasVariant entry, described by the
+ * properties named in variesBy ("https://schema.org/color" -> color).
+ */
+function parseVariants(group) {
+    const variesBy = [].concat(group.variesBy || []).map(property => String(property).replace(/^https?:\/\/schema\.org\//i, ''));
+    return [].concat(group.hasVariant || [])
+        .filter(variant => variant && typeof variant === 'object')
+        .map(variant => {
+            const offer = first(variant.offers) || {};
+            const values = variesBy.map(property => toText(first(variant[property]))).filter(Boolean);
+            return {
+                type: variesBy.join(', ') || null,
+                value: values.join(' / ') || toText(variant.name),
+                price: toNumber(offer.price),
+                currency: toText(offer.priceCurrency),
+                productUrl: toText(variant.url || offer.url),
+                available: offer.availability ? normalizeAvailability(offer.availability) === 'InStock' : null
+            };
+        });
+}
+
+// Breadcrumb names from the site root down
+function parseBreadcrumb(breadcrumb) {
+    return [].concat((breadcrumb && breadcrumb.itemListElement) || [])
+        .filter(item => item && typeof item === 'object')
+        .sort((a, b) => (toNumber(a.position) || 0) - (toNumber(b.position) || 0))
+        .map(item => toText(item.name) || (item.item && typeof item.item === 'object' ? toText(item.item.name) : null))
+        .filter(Boolean);
+}
+
+// "12 months" from a WarrantyPromise, or the warranty as written
+function parseWarranty(warranty) {
+    const promise = first(warranty);
+    if (!promise || typeof promise !== 'object') return toText(promise);
+    const duration = promise.durationOfWarranty || {};
+    const units = { MON: 'months', ANN: 'years', DAY: 'days', WEE: 'weeks' };
+    if (duration.value === undefined) return toText(promise.description);
+    return `${duration.value} ${units[duration.unitCode] || toText(duration.unitText) || ''}`.trim();
+}
+
+function imageUrls(value) {
+    return [].concat(value || [])
+        .map(image => (typeof image === 'object' && image !== null ? image.url || image.contentUrl : image))
+        .filter(url => typeof url === 'string' && url);
+}
+
+/**
+ * Breadth-first search of hydration state for the first scalar value stored
+ * under any of `keys`. Bounded so huge state blobs cannot stall a run.
+ */
+function findInState(state, keys) {
+    if (!state || typeof state !== 'object') return null;
+    const queue = [state];
+    let visited = 0;
+
+    while (queue.length > 0 && visited < MAX_STATE_NODES) {
+        const node = queue.shift();
+        visited++;
+        for (const key of keys) {
+            const value = node[key];
+            if (value !== undefined && value !== null && typeof value !== 'object') return value;
+        }
+        for (const value of Object.values(node)) {
+            if (value && typeof value === 'object') queue.push(value);
+        }
+    }
+    return null;
+}
+
+/**
+ * Turns the raw structured data from collectStructuredInPage into product
+ * fields. Every field is null when no source provided it.
+ */
+function parseStructuredData({ jsonLd, breadcrumb = null, meta = {}, state }) {
+    const product = jsonLd || {};
+    const offer = first(product.offers) || {};
+    const lowestOffer = offer['@type'] === 'AggregateOffer' ? offer : null;
+    const rating = product.aggregateRating || {};
+
+    const priceValue = lowestOffer ? lowestOffer.lowPrice : offer.price;
+    const images = [...new Set([
+        ...imageUrls(product.image),
+        ...imageUrls(meta['og:image'])
+    ])];
+
+    return {
+        title: toText(product.name) || toText(first(meta['og:title'])),
+        brand: toText(first(product.brand)),
+        description: toText(product.description) || toText(first(meta['og:description'])),
+        seller: toText(offer.seller),
+        price: toNumber(priceValue) ?? toNumber(first(meta['product:price:amount'])),
+        currency: toText(offer.priceCurrency || (lowestOffer && lowestOffer.priceCurrency)) || toText(first(meta['product:price:currency'])),
+        availability: normalizeAvailability(offer.availability) || toText(first(meta['product:availability'])),
+        gtin: toText(product.gtin13 || product.gtin || product.gtin14 || product.gtin12 || product.gtin8)
+            || toText(findInState(state, STATE_KEYS.gtin)),
+        sku: toText(product.sku) || toText(findInState(state, STATE_KEYS.sku)),
+        rating: toNumber(rating.ratingValue) ?? toNumber(findInState(state, STATE_KEYS.rating)),
+        reviewCount: toNumber(rating.reviewCount ?? rating.ratingCount) ?? toNumber(findInState(state, STATE_KEYS.reviewCount)),
+        images,
+        offers: parseOffers(product.offers),
+        reviews: parseReviews(product.review),
+        attributes: parseAttributes(product.additionalProperty),
+        variants: parseVariants(product),
+        categories: parseBreadcrumb(breadcrumb),
+        warranty: parseWarranty(product.warranty)
+    };
+}
+
+/**
+ * Server-side counterpart of collectStructuredInPage for HTML fetched
+ * without a browser. Hydration state is only available from script tags.
+ */
+function collectStructuredFromHtml($) {
+    const nodes = [];
+    $('script[type="application/ld+json"]').each((i, script) => {
+        try {
+            const data = JSON.parse($(script).text());
+            const queue = Array.isArray(data) ? [...data] : [data];
+            while (queue.length > 0) {
+                const node = queue.shift();
+                if (!node || typeof node !== 'object') continue;
+                nodes.push(node);
+                if (Array.isArray(node['@graph'])) queue.push(...node['@graph']);
+            }
+        } catch (err) {
+            // Malformed blocks are common; skip them
+        }
+    });
+    const jsonLd = nodes.find(node => [].concat(node['@type']).includes('Product'))
+        || nodes.find(node => [].concat(node['@type']).includes('ProductGroup'))
+        || null;
+    const breadcrumb = nodes.find(node => [].concat(node['@type']).includes('BreadcrumbList')) || null;
+
+    const meta = {};
+    $('meta[property^="og:"], meta[property^="product:"], meta[name^="twitter:"]').each((i, element) => {
+        const key = $(element).attr('property') || $(element).attr('name');
+        const content = $(element).attr('content');
+        if (!content) return;
+        if (meta[key] === undefined) meta[key] = content;
+        else meta[key] = [].concat(meta[key], content);
+    });
+
+    let state = null;
+    for (const id of STATE_SCRIPT_IDS) {
+        const script = $(`script#${id}`);
+        if (script.length === 0) continue;
+        try {
+            state = JSON.parse(script.text());
+            break;
+        } catch (err) {
+            // Not JSON; try the next candidate
+        }
+    }
+
+    return { jsonLd, breadcrumb, meta, state };
+}
+
+/**
+ * Reads and parses the structured data of the page currently loaded.
+ */
+async function extractStructuredData(page) {
+    const raw = await page.evaluate(collectStructuredInPage, STATE_GLOBALS, STATE_SCRIPT_IDS);
+    return parseStructuredData(raw);
+}
+
+module.exports = {
+    collectStructuredInPage,
+    collectStructuredFromHtml,
+    parseStructuredData,
+    extractStructuredData
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const { registry } = require('./metrics');
+const { ID_PATTERN } = require('./checkpoint');
+
+const DEFAULT_LOG_DIR = path.join(process.cwd(), 'data', 'logs');
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Timed stretches of a run; listing extraction includes any load-more clicking
+const PHASES = ['listing-extraction', 'load-more', 'detail-enrichment'];
+
+// Product fields the run report gives a missing-value rate for
+const REPORT_FIELDS = [
+    'title', 'price', 'listPrice', 'seller', 'brand', 'description', 'availability',
+    'rating', 'reviewCount', 'imageUrl', 'categories', 'warranty', 'gtin'
+];
+
+const metrics = {
+    pagesLoaded: registry.counter('scraper_pages_loaded_total', 'Pages loaded, by site, page kind and fetch method'),
+    pageFailures: registry.counter('scraper_page_failures_total', 'Pages given up on after all retries, by site and page kind'),
+    retries: registry.counter('scraper_retries_total', 'Page fetches retried, by site'),
+    fallbacks: registry.counter('scraper_browser_fallbacks_total', 'Product pages rendered in the browser after an incomplete HTTP fetch, by site'),
+    fields: registry.counter('scraper_field_extractions_total', 'Product fields of finished runs, by site, field and result (found or missing)'),
+    phaseSeconds: registry.histogram('scraper_phase_duration_seconds', 'Time runs spent per phase, by site and phase'),
+    runs: registry.counter('scraper_runs_total', 'Finished runs, by site and status'),
+    products: registry.counter('scraper_products_total', 'Products returned by completed runs, by site')
+};
+
+function logDir() {
+    return process.env.LOG_DIR || DEFAULT_LOG_DIR;
+}
+
+// Run logs keep every level; the console only gets LOG_LEVEL (default info) and up
+function echoes(level) {
+    const threshold = Math.max(0, LEVELS.indexOf(process.env.LOG_LEVEL || 'info'));
+    return LEVELS.indexOf(level) >= threshold;
+}
+
+function print(level, message) {
+    if (echoes(level)) console[level === 'info' ? 'log' : level](message);
+}
+
+/**
+ * The log methods of RunTelemetry (debug, info, warn, error) for code called
+ * outside a run, e.g. by the CLI's single-page helpers. Prints to the console.
+ */
+const consoleLog = Object.fromEntries(LEVELS.map(level => [level, message => print(level, message)]));
+
+/**
+ * Path of the JSON log of run `id`, or null for an ID that cannot be one.
+ */
+function logPath(id, dir = logDir()) {
+    return ID_PATTERN.test(String(id)) ? path.join(dir, `${id}.ndjson`) : null;
+}
+
+function isMissing(value) {
+    if (value === null || value === undefined || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    return false;
+}
+
+/**
+ * How often each REPORT_FIELDS field came back empty, as
+ * `{ field: { missing, rate } }` with `rate` between 0 and 1.
+ */
+function fieldReport(products) {
+    return Object.fromEntries(REPORT_FIELDS.map(field => {
+        const missing = products.filter(product => isMissing(product[field])).length;
+        return [field, { missing, rate: products.length > 0 ? missing / products.length : 0 }];
+    }));
+}
+
+/**
+ * Diagnostics of one scrape run. Log lines are appended as JSON to the run's
+ * log file (see logPath; `dir: null` keeps none) until close() and echoed to
+ * the console; counters and phase timings feed both the run report and the
+ * process-wide Prometheus metrics.
+ */
+class RunTelemetry {
+    constructor(id, { site = null, dir = logDir(), echo = true } = {}) {
+        this.id = id;
+        this.site = site;
+        this.echo = echo;
+        this.logPath = dir ? logPath(id, dir) : null;
+        this.stream = null;
+        if (this.logPath) {
+            fs.mkdirSync(dir, { recursive: true });
+            this.stream = fs.createWriteStream(this.logPath, { flags: 'a' });
+            this.stream.on('error', (err) => {
+                console.error(`Cannot write run log ${this.logPath}:`, err.message);
+                this.stream = null;
+            });
+        }
+        this.pages = { listing: { http: 0, browser: 0 }, product: { http: 0, browser: 0 } };
+        this.failedPages = { listing: 0, product: 0 };
+        this.retries = 0;
+        this.fallbacks = 0;
+        this.phases = Object.fromEntries(PHASES.map(phase => [phase, 0]));
+    }
+
+    log(level, message, fields = {}) {
+        const entry = { time: new Date().toISOString(), level, run: this.id, message, ...fields };
+        if (this.stream) this.stream.write(JSON.stringify(entry) + '\n');
+        if (this.echo) print(level, message);
+    }
+
+    /**
+     * Stops writing the log file. Resolves once every line logged so far is
+     * on disk.
+     */
+    close() {
+        const { stream } = this;
+        this.stream = null;
+        return stream ? new Promise(resolve => stream.end(resolve)) : Promise.resolve();
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    pageLoaded(kind, method, url) {
+        this.pages[kind][method]++;
+        metrics.pagesLoaded.inc({ site: this.site, kind, method });
+        this.debug(`Loaded ${kind} page ${url} (${method})`, { event: 'page', kind, method, url });
+    }
+
+    pageFailed(kind, url, error, attempts = 1) {
+        this.failedPages[kind]++;
+        metrics.pageFailures.inc({ site: this.site, kind });
+        this.error(`Failed to read ${kind} page ${url}: ${error}`, { event: 'page-failed', kind, url, error, attempts });
+    }
+
+    retry(url, attempt, error) {
+        this.retries++;
+        metrics.retries.inc({ site: this.site });
+        this.warn(`Retrying ${url} (attempt ${attempt + 1}) after: ${error}`, { event: 'retry', url, attempt, error });
+    }
+
+    fallback(url, missing) {
+        this.fallbacks++;
+        metrics.fallbacks.inc({ site: this.site });
+        this.info(`Rendering ${url} in the browser; missing ${missing.join(', ')}`, { event: 'fallback', url, missing });
+    }
+
+    /**
+     * Runs `fn`, adding the time it takes to `phase`.
+     */
+    async time(phase, fn) {
+        const start = Date.now();
+        try {
+            return await fn();
+        } finally {
+            this.phases[phase] = (this.phases[phase] || 0) + (Date.now() - start);
+        }
+    }
+
+    /**
+     * Ends the run: builds its report, records it in the metrics and the log,
+     * and returns it. `status` is completed, failed or cancelled.
+     */
+    finish(status, { products = [], durationMs = null, error = null } = {}) {
+        const report = {
+            status,
+            site: this.site,
+            durationMs,
+            productCount: products.length,
+            pages: this.pages,
+            failedPages: this.failedPages,
+            retries: this.retries,
+            fallbacks: this.fallbacks,
+            phases: this.phases,
+            fields: fieldReport(products),
+            ...(error ? { error } : {})
+        };
+
+        metrics.runs.inc({ site: this.site, status });
+        Object.entries(this.phases).forEach(([phase, ms]) => {
+            if (ms > 0) metrics.phaseSeconds.observe({ site: this.site, phase }, ms / 1000);
+        });
+        if (status === 'completed') {
+            metrics.products.inc({ site: this.site }, products.length);
+            Object.entries(report.fields).forEach(([field, { missing }]) => {
+                metrics.fields.inc({ site: this.site, field, result: 'found' }, products.length - missing);
+                metrics.fields.inc({ site: this.site, field, result: 'missing' }, missing);
+            });
+        }
+        const level = { completed: 'info', cancelled: 'warn' }[status] || 'error';
+        this.log(level, `Run ${status}`, { event: 'run-finished', report });
+        return report;
+    }
+}
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+/**
+ * A run report as lines of text for the console, worst-filled fields first.
+ */
+function formatReport(report) {
+    const { pages, failedPages, phases } = report;
+    const lines = [
+        `Pages: ${pages.listing.http + pages.listing.browser} listing, ${pages.product.http + pages.product.browser} product`
+            + ` (${pages.listing.http + pages.product.http} over HTTP, ${pages.listing.browser + pages.product.browser} in the browser)`,
+        `Failed pages: ${failedPages.listing + failedPages.product}, retries: ${report.retries}, browser fallbacks: ${report.fallbacks}`,
+        `Phases: ${Object.entries(phases).map(([phase, ms]) => `${phase} ${(ms / 1000).toFixed(1)}s`).join(', ')}`,
+        'Missing values:'
+    ];
+    Object.entries(report.fields)
+        .sort(([, a], [, b]) => b.rate - a.rate)
+        .forEach(([field, { missing, rate }]) => {
+            lines.push(`  ${field.padEnd(14)} ${percent(rate).padStart(4)} (${missing}/${report.productCount})`);
+        });
+    return lines;
+}
+
+module.exports = {
+    DEFAULT_LOG_DIR,
+    LEVELS,
+    PHASES,
+    REPORT_FIELDS,
+    logPath,
+    consoleLog,
+    fieldReport,
+    formatReport,
+    RunTelemetry
+};
@@ -0,0 +1,42 @@
+// API key handling shared by the pages. When the server has API keys
+// configured it answers 401 without one; the key entered is kept in
+// localStorage and sent with every request after that.
+const API_KEY_STORAGE = 'apiKey';
+
+function apiKey() {
+    return localStorage.getItem(API_KEY_STORAGE);
+}
+
+/**
+ * `fetch` with the stored API key. Asks for a key when the server rejects the
+ * request for lack of a valid one, and tries once more with it.
+ */
+async function apiFetch(url, options = {}) {
+    const key = apiKey();
+    const headers = { ...options.headers, ...(key ? { 'X-API-Key': key } : {}) };
+    const response = await fetch(url, { ...options, headers });
+    if (response.status !== 401 || options.retried) {
+        return response;
+    }
+    // Another request may have asked for a key in the meantime
+    if (apiKey() && apiKey() !== key) {
+        return apiFetch(url, { ...options, retried: true });
+    }
+
+    const entered = window.prompt(key ? 'The API key was rejected. Enter another one:' : 'This server needs an API key:');
+    if (!entered || !entered.trim()) {
+        return response;
+    }
+    localStorage.setItem(API_KEY_STORAGE, entered.trim());
+    return apiFetch(url, { ...options, retried: true });
+}
+
+/**
+ * A URL carrying the API key as a query parameter, for requests that cannot
+ * send headers (EventSource, download links).
+ */
+function withApiKey(url) {
+    const key = apiKey();
+    if (!key) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}api_key=${encodeURIComponent(key)}`;
+}
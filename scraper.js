@@ -1,315 +1,442 @@
-const cheerio = require('cheerio');
-const puppeteer = require('puppeteer');
-const XLSX = require('xlsx');
+const fs = require('fs');
 const path = require('path');
+const util = require('util');
+const { scrapeListing, MODES } = require('./lib/scraper');
+const { normalizeSeeds, readSeedFile } = require('./lib/seeds');
+const { SITES, SITE_NAMES, resolveSite } = require('./lib/sites');
+const { exportProducts, FORMATS } = require('./lib/exporters');
+const { writeToStream } = require('./lib/exporters/ndjson');
+const { ProductStore } = require('./lib/store');
+const { Checkpoint } = require('./lib/checkpoint');
+const { diffProducts, loadProducts } = require('./lib/diff');
+const { selectorsPath, validateSelectors } = require('./lib/selectors');
+const { findConfigFile, loadConfig } = require('./lib/config');
+const { LEVELS, formatReport } = require('./lib/telemetry');
+const { changesToRows } = require('./lib/exporters/xlsx');
+const XLSX = require('xlsx');
 
-async function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+const USAGE = `Usage: node scraper.js <command> [options]
+
+Commands:
+  scrape <url...>                 Scrape listing URLs (the default when no command is given)
+  resume [checkpointId]           Continue an interrupted run; lists resumable runs without an ID
+  diff <before> <after> [report]  Compare two runs (run:<id>, or an xlsx, json or ndjson export)
+  export <source>                 Re-export a stored run (run:<id>) or an export file
+  validate-selectors [file...]    Check selector configs (default: every site's)
+
+Options:
+  -c, --config <file>             JSON or YAML file of defaults (default: ./scraper.config.{json,yaml,yml})
+  -f, --format <format>           ${FORMATS.join('|')} (default: xlsx, or the --output extension)
+  -o, --output <path>             Output file, or a directory to put a generated file name in
+      --ndjson                    Stream products to stdout as NDJSON; logs go to stderr
+      --site <site>               ${SITE_NAMES.join('|')} (default: picked from the URLs)
+      --mode <mode>               ${MODES.join('|')} (default: auto)
+      --seeds <file>              Read more URLs from a file, one per line
+      --headed / --headless       Show the browser window, or not (default: headless)
+      --concurrency <n>           Product pages fetched at once
+      --retries <n>               Attempts per page after the first
+      --navigation-timeout <ms>   Timeout for listing pages
+      --product-timeout <ms>      Timeout for product pages
+      --max-products <n>          Stop after n products
+      --max-pages <n>             Listing pages per seed URL
+      --reviews                   Collect individual reviews
+      --max-reviews <n>           Reviews per product
+      --attributes <list>         Spec-table attributes to give a column each, e.g. "Colour,Screen Size"
+      --download-images           Archive product image galleries
+      --image-dir <dir>           Where to archive images
+      --thumbnails                Embed image thumbnails in xlsx exports
+      --no-store                  Do not record the run in the price history database
+      --log-level <level>         ${LEVELS.join('|')} (default: info)
+  -h, --help                      Show this help`;
+
+const FLAGS = {
+  config: { type: 'string', short: 'c' },
+  format: { type: 'string', short: 'f' },
+  output: { type: 'string', short: 'o' },
+  ndjson: { type: 'boolean' },
+  site: { type: 'string' },
+  mode: { type: 'string' },
+  seeds: { type: 'string' },
+  headed: { type: 'boolean' },
+  headless: { type: 'boolean' },
+  concurrency: { type: 'string' },
+  retries: { type: 'string' },
+  'navigation-timeout': { type: 'string' },
+  'product-timeout': { type: 'string' },
+  'max-products': { type: 'string' },
+  'max-pages': { type: 'string' },
+  reviews: { type: 'boolean' },
+  'max-reviews': { type: 'string' },
+  attributes: { type: 'string' },
+  'download-images': { type: 'boolean' },
+  'image-dir': { type: 'string' },
+  thumbnails: { type: 'boolean' },
+  'no-store': { type: 'boolean' },
+  'log-level': { type: 'string' },
+  // Kept from the old CLI; same as the resume command
+  resume: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Flags taking a number, by the setting they fill
+const INTEGER_FLAGS = {
+  concurrency: 'concurrency',
+  retries: 'retries',
+  'navigation-timeout': 'navigationTimeout',
+  'product-timeout': 'productTimeout',
+  'max-products': 'maxProducts',
+  'max-pages': 'maxPages',
+  'max-reviews': 'maxReviews'
+};
+
+// Settings handed to scrapeListing as they are
+const SCRAPE_SETTINGS = [
+  'site', 'mode', 'headless', 'concurrency', 'retries', 'navigationTimeout', 'productTimeout',
+  'maxProducts', 'maxPages', 'reviews', 'maxReviews', 'downloadImages', 'imageDir'
+];
+
+class UsageError extends Error {}
+
+// Command results, as opposed to progress logs, always go to stdout
+function print(...args) {
+  process.stdout.write(util.format(...args) + '\n');
 }
 
-async function getProductInfo(page, url) {
-  try {
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 20000 });
-    
-    // Wait for any of the elements to load
-    await Promise.race([
-      page.waitForSelector('.seller-information a', { timeout: 4000 }),
-      page.waitForSelector('.title-content-list .brand-link a', { timeout: 2000 }),
-      page.waitForSelector('.description-card-module_description-card_m9PqC', { timeout: 5000 })
-    ]);
-    
-    // Extract all information in one evaluation
-    const result = await page.evaluate(() => {
-      const sellerElement = document.querySelector('.seller-information a');
-      const brandElement = document.querySelector('.title-content-list .brand-link a');
-      const descriptionElement = document.querySelector('.product-description.product-description-module_product-description_3bMdX');
-      
-      // Extract additional sellers count
-      const offersElement = document.querySelector('.more-buying-choices-module_offer_34xYl');
-      let additionalSellers = 'No additional sellers';
-      
-      if (offersElement) {
-        const offerText = offersElement.textContent.trim();
-        const match = offerText.match(/(\d+)\s+offer/);
-        if (match) {
-          additionalSellers = match[1];
-        }
-      }
-
-      // Extract list price (price before markdown)
-      let listPrice = 'N/A';
-      const listPriceElement = document.querySelector('.buybox-offer-module_list-price_2GEsn .currency');
-      if (listPriceElement) {
-        listPrice = listPriceElement.textContent.trim();
-      }
-      
-      // Clean up description text
-      const cleanDescription = (text) => {
-        if (!text) return '';
-        return text
-          .replace(/\s+/g, ' ')
-          .replace(/\n\s*\n/g, '\n')
-          .trim();
-      };
-      
-      return {
-        seller: sellerElement ? sellerElement.textContent.trim() : 'No seller name found',
-        brand: brandElement ? brandElement.textContent.trim() : 'No brand found',
-        description: descriptionElement ? cleanDescription(descriptionElement.innerText) : 'No description found',
-        additionalSellers: additionalSellers,
-        listPrice: listPrice
-      };
-    });
+/**
+ * Routes the console through the log level. Progress goes to stdout, or to
+ * stderr when stdout carries NDJSON, so the stream stays parseable.
+ */
+function configureLogging(level, { stdoutReserved = false } = {}) {
+  const threshold = LEVELS.indexOf(level);
+  // Run logs echo to the console from this level up (see lib/telemetry)
+  process.env.LOG_LEVEL = level;
+  const infoStream = stdoutReserved ? process.stderr : process.stdout;
+  const writer = (stream, messageLevel) => (LEVELS.indexOf(messageLevel) >= threshold
+    ? (...args) => stream.write(util.format(...args) + '\n')
+    : () => {});
+
+  console.error = writer(process.stderr, 'error');
+  console.warn = writer(process.stderr, 'warn');
+  console.log = console.info = writer(infoStream, 'info');
+  console.debug = writer(infoStream, 'debug');
+}
 
-    return result;
-  } catch (err) {
-    console.error('Error fetching product info:', err.message);
-    return {
-      seller: 'Error fetching seller',
-      brand: 'Error fetching brand',
-      description: 'Error fetching description',
-      additionalSellers: 'Error fetching additional sellers',
-      listPrice: 'Error fetching list price'
-    };
+/**
+ * Merges the config file (named with --config, or found in the working
+ * directory) with the command-line flags, which win. Only settings that were
+ * given end up in the result, so a resumed run keeps the rest of its own.
+ */
+function loadSettings(values) {
+  const configPath = values.config || findConfigFile();
+  const settings = configPath ? loadConfig(configPath) : {};
+
+  if (values.format !== undefined) settings.format = values.format;
+  if (values.output !== undefined) settings.output = path.resolve(values.output);
+  if (values.site !== undefined) settings.site = values.site;
+  if (values.mode !== undefined) settings.mode = values.mode;
+  if (values.headed) settings.headless = false;
+  if (values.headless) settings.headless = true;
+  if (values.reviews) settings.reviews = true;
+  if (values['download-images']) settings.downloadImages = true;
+  if (values['image-dir'] !== undefined) settings.imageDir = values['image-dir'];
+  if (values.thumbnails) settings.thumbnails = true;
+  if (values['no-store']) settings.store = false;
+  if (values['log-level'] !== undefined) settings.logLevel = values['log-level'];
+  if (values.attributes !== undefined) {
+    settings.attributes = values.attributes.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  for (const [flag, setting] of Object.entries(INTEGER_FLAGS)) {
+    if (values[flag] === undefined) continue;
+    settings[setting] = Number(values[flag]);
+    if (!Number.isInteger(settings[setting]) || settings[setting] < 0) {
+      throw new UsageError(`--${flag} must be a whole number`);
+    }
   }
-}
 
-async function processBatch(products, startIdx, batchSize, browser) {
-  const batchPromises = [];
-  const endIdx = Math.min(startIdx + batchSize, products.length);
-
-  for (let i = startIdx; i < endIdx; i++) {
-    const product = products[i];
-    batchPromises.push((async () => {
-      const page = await browser.newPage();
-      try {
-        const { seller, brand, description, additionalSellers, listPrice } = await getProductInfo(page, product['Product URL']);
-        return {
-          ...product,
-          Seller: seller,
-          Brand: brand,
-          Description: description,
-          'Additional Sellers': additionalSellers,
-          'List Price': listPrice
-        };
-      } finally {
-        await page.close();
-      }
-    })());
+  const choices = { format: FORMATS, mode: MODES, site: SITE_NAMES, logLevel: LEVELS };
+  for (const [setting, allowed] of Object.entries(choices)) {
+    if (settings[setting] !== undefined && !allowed.includes(settings[setting])) {
+      throw new UsageError(`Unsupported ${setting} "${settings[setting]}". Use one of: ${allowed.join(', ')}`);
+    }
   }
+  ['concurrency', 'maxProducts', 'maxPages', 'maxReviews'].forEach(setting => {
+    if (settings[setting] === 0) throw new UsageError(`${setting} must be at least 1`);
+  });
+  return settings;
+}
 
-  return Promise.all(batchPromises);
+/**
+ * Where and in which format to export: --output names a file (its extension
+ * picks the format when --format is not given) or an existing directory.
+ */
+function outputTarget(settings) {
+  const { output } = settings;
+  const isDir = output && (output.endsWith(path.sep) || (fs.existsSync(output) && fs.statSync(output).isDirectory()));
+  const extension = output && !isDir ? path.extname(output).slice(1).toLowerCase() : null;
+  const format = settings.format || (FORMATS.includes(extension) ? extension : 'xlsx');
+  if (!output) return { format };
+  return isDir ? { format, outputDir: output } : { format, filepath: output };
 }
 
-async function getAllProducts(url) {
-  const browser = await puppeteer.launch({ 
-    headless: false,
-    defaultViewport: null,
-    args: ['--start-maximized']
+function streamProduct(product) {
+  process.stdout.write(JSON.stringify(product) + '\n');
+}
+
+function scrapeOptions(settings) {
+  const options = {};
+  SCRAPE_SETTINGS.forEach(setting => {
+    if (settings[setting] !== undefined) options[setting] = settings[setting];
   });
-  
-  const mainPage = await browser.newPage();
+  return options;
+}
 
-  try {
-    await mainPage.goto(url, { waitUntil: 'networkidle0' });
-    await mainPage.waitForSelector('article.product-card-module_product-card_fdqa8', { timeout: 10000 });
-
-    let previousProductCount = 0;
-    let attemptCount = 0;
-    const maxAttempts = 5;
-
-    console.log('Starting to load all products...');
-    
-    while (true) {
-      const currentProductCount = await mainPage.evaluate(() => 
-        document.querySelectorAll('article.product-card-module_product-card_fdqa8').length
-      );
-      
-      console.log(`Current product count: ${currentProductCount}`);
-
-      try {
-        await mainPage.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-        await delay(1000);
-
-        const buttonVisible = await mainPage.evaluate(() => {
-          const button = document.querySelector('.search-listings-module_load-more_OwyvW');
-          if (!button) return false;
-          
-          const rect = button.getBoundingClientRect();
-          return rect.top >= 0 && rect.bottom <= window.innerHeight;
-        });
-
-        if (!buttonVisible) {
-          console.log('Load more button not found or not visible');
-          break;
-        }
-
-        await mainPage.click('.search-listings-module_load-more_OwyvW');
-        console.log('Clicked load more button');
-        await delay(2000);
-        
-        if (currentProductCount === previousProductCount) {
-          attemptCount++;
-          if (attemptCount >= maxAttempts) {
-            console.log('No new products loaded after multiple attempts. Stopping.');
-            break;
-          }
-        } else {
-          attemptCount = 0;
-        }
-
-        previousProductCount = currentProductCount;
-
-      } catch (err) {
-        console.log('Error while loading more products:', err.message);
-        break;
-      }
+async function runScrape(args, settings) {
+  let seeds = [...args, ...(settings.seeds || [])];
+  if (settings.seedFile) {
+    try {
+      seeds.push(...readSeedFile(settings.seedFile));
+    } catch (err) {
+      throw new UsageError(`Could not read seed file: ${err.message}`);
     }
+  }
+  try {
+    seeds = normalizeSeeds(seeds);
+    resolveSite(seeds, settings.site);
+  } catch (err) {
+    throw new UsageError(seeds.length === 0 ? 'Please provide at least one URL to scrape' : err.message);
+  }
+  if (settings.thumbnails && !settings.downloadImages) {
+    throw new UsageError('--thumbnails requires --download-images');
+  }
+  await scrapeAndSave(seeds, scrapeOptions(settings), settings);
+}
 
-    console.log('Extracting product data...');
-    
-    const baseUrl = await mainPage.evaluate(() => window.location.origin);
-    
-    const products = await mainPage.evaluate((baseUrl) => {
-      const items = [];
-      
-      document.querySelectorAll('article.product-card-module_product-card_fdqa8').forEach(article => {
-        try {
-          const linkElement = article.querySelector('a.product-card-module_link-underlay_3sfaA');
-          const contentElement = article.querySelector('.grid-y.gap-2.product-card-module_product-card-content_1LFYj');
-          
-          if (linkElement && contentElement) {
-            const href = linkElement.getAttribute('href');
-            const title = contentElement.querySelector('.product-card-module_product-title_16xh8')?.textContent?.trim() || '';
-            const price = contentElement.querySelector('.currency')?.textContent?.trim() || '';
-            const image = contentElement.querySelector('img')?.src || '';
-            
-            // Extract list price from product card if available
-            let listPrice = 'N/A';
-            const listPriceElement = contentElement.querySelector('.product-card-price-module_list-price_om_3Y .currency');
-            if (listPriceElement) {
-              listPrice = listPriceElement.textContent.trim();
-            }
-            
-            const productUrl = href ? `${baseUrl}${href}` : '';
-            
-            if (title && productUrl) {
-              items.push({
-                Title: title,
-                Price: price,
-                'List Price': listPrice,
-                'Image URL': image,
-                'Product URL': productUrl
-              });
-            }
-          }
-        } catch (error) {
-          console.error('Error processing article:', error);
-        }
-      });
-      
-      return items;
-    }, baseUrl);
-
-    console.log('Getting seller information concurrently...');
-
-    // Process products in batches of 5 concurrently
-    const BATCH_SIZE = 1;
-    const allProducts = [];
-    
-    for (let i = 0; i < products.length; i += BATCH_SIZE) {
-      console.log(`Processing batch ${i/BATCH_SIZE + 1}/${Math.ceil(products.length/BATCH_SIZE)}`);
-      const batchResults = await processBatch(products, i, BATCH_SIZE, browser);
-      allProducts.push(...batchResults);
+async function runResume(args, settings) {
+  const [checkpointId] = args;
+  if (!checkpointId) {
+    const runs = Checkpoint.list();
+    if (runs.length === 0) {
+      print('No interrupted runs to resume.');
+      return;
     }
+    print('Resumable runs:');
+    runs.forEach(run => {
+      const progress = run.listingCount === null ? 'listings not discovered yet' : `${run.completedCount}/${run.listingCount} products`;
+      print(`  ${run.id}  ${run.createdAt}  ${progress}  ${run.seeds.join(' ')}`);
+    });
+    print('\nContinue one with: node scraper.js resume <id>');
+    return;
+  }
+  await scrapeAndSave([], { ...scrapeOptions(settings), resume: checkpointId }, settings);
+}
 
-    const uniqueProducts = [...new Map(allProducts.map(item => 
-      [item.Title + item.Price, item]
-    )).values()];
-
-    console.log(`Total unique products found: ${uniqueProducts.length}`);
-    return uniqueProducts;
-
+async function scrapeAndSave(seeds, options, settings) {
+  console.log('Starting scraper...');
+  let products = null;
+  let meta = null;
+  let checkpointId = null;
+  try {
+    ({ products, meta } = await scrapeListing(seeds, {
+      ...options,
+      onCheckpoint: (id) => { checkpointId = id; },
+      onProduct: settings.ndjson ? streamProduct : () => {}
+    }));
   } catch (err) {
     console.error('Error during scraping:', err.message);
-    return null;
-  } finally {
-    await browser.close();
+    if (checkpointId) console.error(`Continue this run with: node scraper.js resume ${checkpointId}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!products || products.length === 0) {
+    console.log('No products found or scraping failed.');
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`Scraping completed. Found ${products.length} products.`);
+
+  // Keep price history even if the export below fails
+  let runId = null;
+  if (settings.store !== false) {
+    try {
+      const store = new ProductStore();
+      runId = store.saveRun(meta, products);
+      store.close();
+    } catch (err) {
+      console.error('Error storing products:', err.message);
+    }
+  }
+
+  // Streaming replaces the export file unless one is asked for as well
+  let outputFile = null;
+  if (!settings.ndjson || settings.output) {
+    const target = outputTarget(settings);
+    outputFile = await exportProducts(products, meta.url, {
+      ...target,
+      attributes: settings.attributes || [],
+      thumbnails: Boolean(settings.thumbnails)
+    });
+    if (!outputFile) {
+      console.error(`Failed to create ${target.format} file.`);
+      process.exitCode = 1;
+    }
+  }
+
+  console.log('\nScraping Summary:');
+  console.log('----------------');
+  console.log(`Total Products: ${products.length}`);
+  console.log(`Site: ${meta.site}`);
+  console.log(`Mode: ${meta.mode} (${meta.fetchStats.httpPages} pages over HTTP, ${meta.fetchStats.browserPages} in the browser)`);
+  if (products.some(product => product.reviews.length > 0)) {
+    console.log(`Reviews: ${products.reduce((total, product) => total + product.reviews.length, 0)}`);
+  }
+  if (outputFile) console.log(`Output File: ${outputFile}`);
+  if (runId) console.log(`Stored Run: ${runId}`);
+  if (meta.logPath) console.log(`Run Log: ${meta.logPath}`);
+  console.log('\nRun Report:');
+  console.log('-----------');
+  formatReport(meta.report).forEach(line => console.log(line));
+  if (meta.failedUrls.length > 0) {
+    console.warn(`\nFailed URLs (${meta.failedUrls.length}):`);
+    meta.failedUrls.forEach(failure => console.warn(`  ${failure.url} (${failure.attempts} attempts): ${failure.error}`));
   }
 }
 
-function exportToExcel(products, url) {
+// <before>/<after> are stored run IDs (e.g. run:3) or exported xlsx, json or ndjson files
+// The report path comes from the command line only, not a config file's output
+function runDiff(args, settings, values) {
+  const [beforeSource, afterSource, report = values.output] = args;
+  if (!beforeSource || !afterSource) {
+    throw new UsageError('Usage: node scraper.js diff <before> <after> [report.xlsx]');
+  }
+
+  const store = new ProductStore();
   try {
-    const ws = XLSX.utils.json_to_sheet(products);
-
-    const colWidths = [
-      { wch: 50 }, // Title
-      { wch: 15 }, // Price
-      { wch: 15 }, // List Price
-      { wch: 50 }, // Image URL
-      { wch: 70 }, // Product URL
-      { wch: 30 }, // Seller
-      { wch: 20 }, // Brand
-      { wch: 100 }, // Description
-      { wch: 20 }  // Additional Sellers
-    ];
-    ws['!cols'] = colWidths;
-
-    // Set row height for description column
-    ws['!rows'] = Array(products.length + 1).fill({ hpt: 100 });
-
-    const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, 'Products');
-
-    const domain = new URL(url).hostname.replace(/[^a-z0-9]/gi, '_');
-    const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
-    const filename = `products_${domain}_${timestamp}.xlsx`;
-    const filepath = path.join(process.cwd(), filename);
-
-    // Configure sheet to wrap text in description column
-    const descriptionCol = XLSX.utils.decode_col('G');
-    const range = XLSX.utils.decode_range(ws['!ref']);
-    for (let R = range.s.r + 1; R <= range.e.r; ++R) {
-      const cell = ws[XLSX.utils.encode_cell({r: R, c: descriptionCol})];
-      if (cell) {
-        if (!cell.s) cell.s = {};
-        cell.s.alignment = { wrapText: true, vertical: 'top' };
-      }
+    const { summary, changes } = diffProducts(
+      loadProducts(beforeSource, store),
+      loadProducts(afterSource, store)
+    );
+
+    if (settings.ndjson) {
+      changes.forEach(item => process.stdout.write(JSON.stringify(item) + '\n'));
+    } else {
+      print('\nChange Summary:');
+      print('---------------');
+      Object.entries(summary).forEach(([type, count]) => print(`${type}: ${count}`));
+      changes.forEach(item => {
+        print(`[${item.type}] ${item.productId} ${item.title}: ${item.before ?? '-'} -> ${item.after ?? '-'}`);
+      });
     }
 
-    XLSX.writeFile(wb, filepath);
-    console.log(`Excel file saved successfully: ${filepath}`);
-    return filepath;
-  } catch (err) {
-    console.error('Error exporting to Excel:', err.message);
-    return null;
+    if (report) {
+      const wb = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(changesToRows(changes)), 'Changes');
+      XLSX.writeFile(wb, report);
+      console.log(`\nDiff report saved: ${report}`);
+    }
+  } finally {
+    store.close();
   }
 }
 
-// Main execution
-(async () => {
-  const url = process.argv[2];
-  if (!url) {
-    console.log('Please provide a URL as an argument');
-    process.exit(1);
+async function runExport(args, settings) {
+  const [source] = args;
+  if (!source) {
+    throw new UsageError('Usage: node scraper.js export <run:id|file> [--format f] [--output path]');
   }
 
-  console.log('Starting scraper...');
-  const products = await getAllProducts(url);
-  
-  if (products && products.length > 0) {
-    console.log(`Scraping completed. Found ${products.length} products.`);
-    
-    const excelFile = exportToExcel(products, url);
-    if (excelFile) {
-      console.log('\nScraping Summary:');
-      console.log('----------------');
-      console.log(`Total Products: ${products.length}`);
-      console.log(`Excel File: ${excelFile}`);
+  let products;
+  let url;
+  const runMatch = String(source).match(/^(?:run:)?(\d+)$/);
+  if (runMatch) {
+    const store = new ProductStore();
+    try {
+      products = loadProducts(source, store);
+      url = store.getRun(Number(runMatch[1])).url;
+    } finally {
+      store.close();
+    }
+  } else {
+    products = loadProducts(source, null);
+    url = products.length > 0 ? products[0].productUrl : null;
+  }
+  if (products.length === 0) throw new Error(`No products in ${source}`);
+
+  if (settings.ndjson) {
+    await writeToStream(products, process.stdout);
+    return;
+  }
+  const outputFile = await exportProducts(products, url, {
+    ...outputTarget(settings),
+    attributes: settings.attributes || [],
+    thumbnails: Boolean(settings.thumbnails)
+  });
+  if (!outputFile) process.exitCode = 1;
+}
+
+function runValidateSelectors(args) {
+  const files = args.length > 0 ? args : SITES.map(site => selectorsPath(site.name));
+  let failed = false;
+  files.forEach(file => {
+    let problems;
+    try {
+      problems = validateSelectors(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+      problems = [err.message];
+    }
+    if (problems.length === 0) {
+      print(`ok    ${file}`);
     } else {
-      console.log('Failed to create Excel file.');
+      failed = true;
+      print(`FAIL  ${file}`);
+      problems.forEach(problem => print(`        ${problem}`));
     }
+  });
+  if (failed) process.exitCode = 1;
+}
+
+const COMMANDS = {
+  scrape: runScrape,
+  resume: runResume,
+  diff: runDiff,
+  export: runExport,
+  'validate-selectors': runValidateSelectors
+};
+
+async function main() {
+  const { values, positionals } = util.parseArgs({ options: FLAGS, allowPositionals: true });
+  if (values.help) {
+    print(USAGE);
+    return;
+  }
+
+  let [command, ...args] = positionals;
+  if (values.resume !== undefined) {
+    [command, args] = ['resume', [values.resume]];
+  } else if (!COMMANDS[command]) {
+    // Bare URLs scrape, as before subcommands existed
+    [command, args] = ['scrape', positionals];
+  }
+
+  const settings = loadSettings(values);
+  if (values.seeds !== undefined) settings.seedFile = values.seeds;
+  settings.ndjson = Boolean(values.ndjson);
+  configureLogging(settings.logLevel || 'info', { stdoutReserved: settings.ndjson });
+
+  // A consumer that stops reading (e.g. `| head`) just ends the output
+  process.stdout.on('error', err => {
+    if (err.code === 'EPIPE') process.exit(0);
+    throw err;
+  });
+
+  await COMMANDS[command](args, settings, values);
+}
+
+main().catch(err => {
+  if (err instanceof UsageError || (err.code || '').startsWith('ERR_PARSE_ARGS')) {
+    process.stderr.write(`${err.message}\nRun node scraper.js --help for usage.\n`);
   } else {
-    console.log('No products found or scraping failed.');
+    console.error('Error:', err.message);
   }
-})();
\ No newline at end of file
+  process.exitCode = 1;
+});
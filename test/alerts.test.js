@@ -0,0 +1,19 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { evaluateRules } = require('../lib/alerts');
+
+describe('alert rules', () => {
+    const rule = { id: 1, enabled: true, type: 'price_below', params: { price: 100 } };
+    const product = (price) => ({ productId: 'PLID1', price });
+    const matched = (price, previous) => evaluateRules([rule], [product(price)], previous === undefined ? [] : [product(previous)]).length > 0;
+
+    it('fires when the price drops below the threshold, not on every run it stays there', () => {
+        assert.ok(matched(90));
+        assert.ok(matched(90, 120));
+        assert.ok(matched(90, 100));
+        assert.ok(matched(90, null));
+        assert.ok(!matched(80, 90));
+        assert.ok(!matched(120, 90));
+        assert.ok(!matched(null, 120));
+    });
+});
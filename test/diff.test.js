@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const { diffProducts, loadProducts } = require('../lib/diff');
+const { failedDetails } = require('../lib/product');
+const { exportProducts } = require('../lib/exporters');
+
+describe('run diffs', () => {
+    const product = (fields) => ({ productId: 'PLID1', price: 100, seller: 'Takealot', additionalSellers: 2, errors: [], ...fields });
+
+    it('reports changed fields but not the ones a failed page left empty', () => {
+        const { summary, changes } = diffProducts([product()], [product({ ...failedDetails('timeout'), price: 90 })]);
+        assert.deepStrictEqual(summary, { added: 0, removed: 0, price: 1, seller: 0, offers: 0 });
+        assert.deepStrictEqual([changes[0].before, changes[0].after], [100, 90]);
+
+        // Nor when the earlier run was the one that failed
+        assert.strictEqual(diffProducts([product({ ...failedDetails('timeout'), price: 100 })], [product({ seller: 'Other' })]).changes.length, 0);
+    });
+
+    it('keeps failed reads out of diffs against xlsx exports, old and new', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-test-'));
+        try {
+            const failed = product({ ...failedDetails('timeout; retried'), price: 100, productUrl: 'https://www.takealot.com/tv/PLID1' });
+            const exported = await exportProducts([failed], 'https://www.takealot.com/all', { outputDir: dir });
+            const [read] = loadProducts(exported);
+            assert.deepStrictEqual(read.errors, failed.errors);
+            assert.strictEqual(diffProducts([product()], [read]).changes.length, 0);
+
+            // Exports from before the typed schema wrote placeholders into the cells
+            const legacy = path.join(dir, 'legacy.xlsx');
+            const wb = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet([{
+                Title: 'TV',
+                Price: 'R 100',
+                'Product URL': 'https://www.takealot.com/tv/PLID1',
+                Seller: 'Error fetching seller',
+                'Additional Sellers': 'Error fetching additional sellers'
+            }]), 'Products');
+            XLSX.writeFile(wb, legacy);
+            const [old] = loadProducts(legacy);
+            assert.deepStrictEqual(old.errors.map(error => error.field), ['seller', 'additionalSellers']);
+            assert.strictEqual(diffProducts([old], [product()]).changes.length, 0);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+const { listFixtures, goldenPath, readGolden, writeGolden, replayHttp, replayBrowser } = require('./helpers/fixtures');
+
+// UPDATE_GOLDEN=1 rewrites the golden files from the current extractors
+// instead of comparing against them; review the diff before committing
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+// The browser replay needs the Chrome puppeteer installs (or
+// PUPPETEER_EXECUTABLE_PATH); FIXTURE_BROWSER=0 skips it anyway
+function findBrowser() {
+    if (process.env.FIXTURE_BROWSER === '0') return 'FIXTURE_BROWSER=0';
+    try {
+        return fs.existsSync(puppeteer.executablePath()) ? null : 'no Chrome installed';
+    } catch (err) {
+        return 'no Chrome installed; run `npx puppeteer browsers install chrome`';
+    }
+}
+const BROWSER_SKIP = findBrowser();
+
+function checkGolden(fixture, mode, output) {
+    if (UPDATE) {
+        writeGolden(fixture, mode, output);
+        return;
+    }
+    const expected = readGolden(fixture, mode);
+    assert.ok(expected, `No golden file ${goldenPath(fixture, mode)}; run with UPDATE_GOLDEN=1 to create it`);
+    assert.deepStrictEqual(output, expected);
+}
+
+const fixtures = listFixtures();
+
+describe('fixture replay over HTTP', () => {
+    for (const fixture of fixtures) {
+        it(`${fixture.site}/${fixture.name} (${fixture.kind})`, async () => {
+            checkGolden(fixture, 'http', await replayHttp(fixture));
+        });
+    }
+});
+
+describe('fixture replay in the browser', { skip: BROWSER_SKIP || false }, () => {
+    let browser;
+    before(async () => {
+        browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+    });
+    after(async () => {
+        if (browser) await browser.close();
+    });
+
+    for (const fixture of fixtures) {
+        it(`${fixture.site}/${fixture.name} (${fixture.kind})`, async () => {
+            checkGolden(fixture, 'browser', await replayBrowser(fixture, browser));
+        });
+    }
+});
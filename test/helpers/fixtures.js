@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const { getListingsHttp, getProductInfoHttp } = require('../../lib/http');
+const { getProductInfo } = require('../../lib/scraper');
+const { extractInPage, loadSiteSelectors } = require('../../lib/selectors');
+const { normalizeProduct } = require('../../lib/product');
+const { getSite } = require('../../lib/sites');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const KINDS = ['listing', 'product'];
+
+/**
+ * Fixtures are saved pages grouped by site adapter, described by
+ * test/fixtures/<site>/manifest.json:
+ *
+ *   { "fixtures": [{ "name", "kind": "listing"|"product", "url", "file", "options" }] }
+ *
+ * `url` is the address the page was recorded from and `options` any scrape
+ * options the replay needs (e.g. `{ "reviews": true }`). The expected output
+ * of each fixture sits next to it as <name>.golden.json, or
+ * <name>.browser.golden.json for the browser replay.
+ */
+function siteDir(site) {
+    return path.join(FIXTURES_DIR, site);
+}
+
+function loadManifest(site) {
+    const filepath = path.join(siteDir(site), 'manifest.json');
+    return fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : { fixtures: [] };
+}
+
+function saveManifest(site, manifest) {
+    fs.mkdirSync(siteDir(site), { recursive: true });
+    manifest.fixtures.sort((a, b) => a.name.localeCompare(b.name));
+    fs.writeFileSync(path.join(siteDir(site), 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Every fixture on disk as `{ site, ...entry }`.
+ */
+function listFixtures() {
+    if (!fs.existsSync(FIXTURES_DIR)) return [];
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(site => fs.existsSync(path.join(siteDir(site), 'manifest.json')))
+        .flatMap(site => loadManifest(site).fixtures.map(fixture => ({ site, ...fixture })));
+}
+
+function readPage(fixture) {
+    return fs.readFileSync(path.join(siteDir(fixture.site), fixture.file), 'utf8');
+}
+
+function goldenPath(fixture, mode = 'http') {
+    const suffix = mode === 'http' ? 'golden' : `${mode}.golden`;
+    return path.join(siteDir(fixture.site), `${fixture.name}.${suffix}.json`);
+}
+
+function readGolden(fixture, mode) {
+    const filepath = goldenPath(fixture, mode);
+    return fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : null;
+}
+
+function writeGolden(fixture, mode, output) {
+    fs.writeFileSync(goldenPath(fixture, mode), JSON.stringify(output, null, 2) + '\n');
+}
+
+const isLoopback = (url) => ['127.0.0.1', 'localhost'].includes(new URL(url).hostname);
+
+/**
+ * Makes every axios request to a non-loopback host fail, so a replay that
+ * strays off its fixtures errors out instead of going online. Returns a
+ * function that lifts the block.
+ */
+function blockNetwork() {
+    const id = axios.interceptors.request.use(config => {
+        const url = new URL(config.url, config.baseURL);
+        if (!isLoopback(url.href)) {
+            throw new Error(`Offline replay tried to fetch ${url.href}`);
+        }
+        return config;
+    });
+    return () => axios.interceptors.request.eject(id);
+}
+
+/**
+ * Serves one fixture page on a loopback port under the path and query it
+ * was recorded from. Resolves with `{ url, close }`, `url` being the local
+ * address of the page.
+ */
+function serveFixture(fixture) {
+    const recorded = new URL(fixture.url);
+    const body = readPage(fixture);
+    const server = http.createServer((req, res) => {
+        if (req.url === recorded.pathname + recorded.search) {
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            return res.end(body);
+        }
+        res.statusCode = 404;
+        res.end('Not in fixture');
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const local = new URL(fixture.url);
+            local.protocol = 'http:';
+            local.host = `127.0.0.1:${server.address().port}`;
+            resolve({ url: local.href, close: () => new Promise(done => server.close(done)) });
+        });
+    });
+}
+
+// Swaps the local server's origin in extracted URLs back to the recorded one
+function restoreOrigin(output, localUrl, recordedUrl) {
+    const json = JSON.stringify(output).split(new URL(localUrl).origin).join(new URL(recordedUrl).origin);
+    return JSON.parse(json);
+}
+
+/**
+ * The output golden files hold for a fixture: the listing cards read off a
+ * listing page (product URLs in canonical form), or the normalized product
+ * built from a product page.
+ */
+function toOutput(fixture, raw) {
+    const site = getSite(fixture.site);
+    if (fixture.kind === 'listing') {
+        return raw.map(card => ({ ...card, productUrl: site.normalizeUrl(card.productUrl) }));
+    }
+    return normalizeProduct({ productUrl: site.normalizeUrl(fixture.url) }, raw);
+}
+
+/**
+ * Replays a fixture through the HTTP extractors (getListingsHttp or
+ * getProductInfoHttp) against a local server, fully offline.
+ */
+async function replayHttp(fixture) {
+    const site = getSite(fixture.site);
+    const options = { ...fixture.options, site: site.name, selectors: loadSiteSelectors(site), maxPages: 1 };
+    const server = await serveFixture(fixture);
+    const unblock = blockNetwork();
+    try {
+        const raw = fixture.kind === 'listing'
+            ? await getListingsHttp(server.url, options)
+            : await getProductInfoHttp(server.url, options);
+        return toOutput(fixture, restoreOrigin(raw, server.url, fixture.url));
+    } finally {
+        unblock();
+        await server.close();
+    }
+}
+
+/**
+ * Replays a fixture in a Puppeteer page whose requests are intercepted: the
+ * recorded URL is answered with the fixture and everything else is aborted,
+ * so the page renders offline. Links the scraper clicks (e.g. to open other
+ * offers) get a 204, which keeps the fixture loaded instead of an error page.
+ * Listing pages are read with the listing selectors, product pages through
+ * getProductInfo.
+ */
+async function replayBrowser(fixture, browser) {
+    const site = getSite(fixture.site);
+    const selectors = loadSiteSelectors(site);
+    const body = readPage(fixture);
+    const page = await browser.newPage();
+    try {
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            if (request.url() === fixture.url) {
+                request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body });
+            } else if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+                request.respond({ status: 204 });
+            } else {
+                request.abort();
+            }
+        });
+
+        if (fixture.kind === 'listing') {
+            await page.goto(fixture.url, { waitUntil: 'domcontentloaded' });
+            const cards = await page.evaluate(extractInPage, selectors.listing, 'listing');
+            return toOutput(fixture, cards.filter(card => card.title && card.productUrl));
+        }
+        const details = await getProductInfo(page, fixture.url, { ...fixture.options, site: site.name, selectors });
+        return toOutput(fixture, details);
+    } finally {
+        await page.close().catch(() => {});
+    }
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    KINDS,
+    siteDir,
+    loadManifest,
+    saveManifest,
+    listFixtures,
+    goldenPath,
+    readGolden,
+    writeGolden,
+    blockNetwork,
+    replayHttp,
+    replayBrowser
+};
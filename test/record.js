@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const axios = require('axios');
+const puppeteer = require('puppeteer');
+const { HTTP_HEADERS } = require('../lib/http');
+const { resolveSite } = require('../lib/sites');
+const { KINDS, siteDir, loadManifest, saveManifest, writeGolden, goldenPath, replayHttp } = require('./helpers/fixtures');
+
+// Usage: node test/record.js --kind listing|product --name <name> <url>
+//          [--site takealot|amazon] [--har capture.har] [--browser] [--options '{"reviews":true}']
+//
+// Saves the page at <url> as a fixture of its site and writes its golden file
+// from the current extractors. The page is fetched over HTTP, rendered in
+// the browser with --browser, or taken from a HAR capture with --har.
+
+function fromHar(harPath, url) {
+    const { log } = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+    const entry = log.entries.find(candidate => candidate.request.url === url);
+    if (!entry) {
+        const pages = log.entries
+            .filter(candidate => /html/.test(candidate.response.content.mimeType || ''))
+            .map(candidate => candidate.request.url);
+        throw new Error(`${url} is not in ${harPath}. HTML pages in it:\n  ${pages.join('\n  ')}`);
+    }
+    const { text = '', encoding } = entry.response.content;
+    return encoding === 'base64' ? Buffer.from(text, 'base64').toString('utf8') : text;
+}
+
+async function fromBrowser(url) {
+    const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+    try {
+        const page = await browser.newPage();
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+        return await page.content();
+    } finally {
+        await browser.close();
+    }
+}
+
+async function fromHttp(url) {
+    const response = await axios.get(url, { headers: HTTP_HEADERS, responseType: 'text', timeout: 60000 });
+    return response.data;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        options: {
+            kind: { type: 'string' },
+            name: { type: 'string' },
+            site: { type: 'string' },
+            har: { type: 'string' },
+            browser: { type: 'boolean' },
+            options: { type: 'string' }
+        },
+        allowPositionals: true
+    });
+    const [url] = positionals;
+    if (!url || !KINDS.includes(values.kind) || !/^[\w-]+$/.test(values.name || '')) {
+        console.log('Usage: node test/record.js --kind listing|product --name <name> <url> '
+            + '[--site takealot|amazon] [--har capture.har] [--browser] [--options \'{"reviews":true}\']');
+        process.exit(1);
+    }
+
+    const site = resolveSite(url, values.site);
+    const html = values.har ? fromHar(values.har, url) : (values.browser ? await fromBrowser(url) : await fromHttp(url));
+
+    const fixture = {
+        name: values.name,
+        kind: values.kind,
+        url,
+        file: `${values.name}.html`,
+        ...(values.options ? { options: JSON.parse(values.options) } : {})
+    };
+    fs.mkdirSync(siteDir(site.name), { recursive: true });
+    fs.writeFileSync(path.join(siteDir(site.name), fixture.file), html);
+    const manifest = loadManifest(site.name);
+    manifest.fixtures = [...manifest.fixtures.filter(entry => entry.name !== fixture.name), fixture];
+    saveManifest(site.name, manifest);
+
+    const output = await replayHttp({ site: site.name, ...fixture });
+    writeGolden({ site: site.name, ...fixture }, 'http', output);
+    const count = Array.isArray(output) ? `${output.length} listing cards` : `product ${output.productId || '(no ID)'}`;
+    console.log(`Recorded ${site.name}/${fixture.file}: ${count}`);
+    console.log(`Review ${goldenPath({ site: site.name, ...fixture })} before committing it`);
+}
+
+main().catch(err => {
+    console.error('Recording failed:', err.message);
+    process.exitCode = 1;
+});
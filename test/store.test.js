@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ProductStore } = require('../lib/store');
+
+const product = (productId, fields) => ({
+    productId,
+    title: `Widget ${productId}`,
+    productUrl: `https://www.takealot.com/widget/${productId}`,
+    currency: 'ZAR',
+    ...fields
+});
+
+describe('run product queries', () => {
+    let store;
+    let runId;
+
+    before(() => {
+        store = new ProductStore(':memory:');
+        runId = store.saveRun({ url: 'https://www.takealot.com/widgets', startedAt: '2024-03-01T10:00:00.000Z' }, [
+            product('PLID1', { price: 100, listPrice: 200, discount: 50, seller: 'Acme', brand: 'Widgetco', offers: [{ seller: 'Acme', price: 100 }] }),
+            product('PLID2', { price: 300, listPrice: 300, discount: 0, seller: 'acme', brand: 'Gizmo' }),
+            product('PLID3', { price: null, discount: null, seller: 'Other', brand: 'Widgetco' }),
+            product('PLID4', { price: 50, listPrice: 60, discount: 16.7, seller: 'Other', brand: null })
+        ]);
+    });
+
+    after(() => store.close());
+
+    it('filters by seller, brand, price range and discount', () => {
+        const ids = (query) => store.queryRunProducts(runId, query).products.map(item => item.productId);
+        assert.deepStrictEqual(ids({ seller: 'ACME' }), ['PLID1', 'PLID2']);
+        assert.deepStrictEqual(ids({ brand: 'widgetco' }), ['PLID1', 'PLID3']);
+        assert.deepStrictEqual(ids({ minPrice: 60, maxPrice: 300 }), ['PLID1', 'PLID2']);
+        assert.deepStrictEqual(ids({ minDiscount: 10, seller: 'Other' }), ['PLID4']);
+    });
+
+    it('sorts with empty values last and pages after counting every match', () => {
+        const ascending = store.queryRunProducts(runId, { sort: 'price', limit: 2, offset: 1 });
+        assert.strictEqual(ascending.total, 4);
+        assert.deepStrictEqual(ascending.products.map(item => item.productId), ['PLID1', 'PLID2']);
+
+        const descending = store.queryRunProducts(runId, { sort: '-price' });
+        assert.deepStrictEqual(descending.products.map(item => item.productId), ['PLID2', 'PLID1', 'PLID4', 'PLID3']);
+        assert.deepStrictEqual(descending.products[1].offers.map(offer => offer.seller), ['Acme']);
+    });
+});
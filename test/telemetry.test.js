@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Registry } = require('../lib/metrics');
+const { fieldReport, RunTelemetry } = require('../lib/telemetry');
+
+describe('metrics registry', () => {
+    it('renders counters, gauges and histograms in the Prometheus text format', () => {
+        const registry = new Registry();
+        registry.counter('pages_total', 'Pages').inc({ site: 'takealot', method: 'http' }, 2);
+        registry.gauge('jobs', 'Jobs', { collect: () => [{ labels: { status: 'running' }, value: 1 }] });
+        registry.histogram('phase_seconds', 'Phases', { buckets: [1, 10] }).observe({ phase: 'load-more' }, 4);
+
+        assert.strictEqual(registry.render(), [
+            '# HELP pages_total Pages',
+            '# TYPE pages_total counter',
+            'pages_total{site="takealot",method="http"} 2',
+            '',
+            '# HELP jobs Jobs',
+            '# TYPE jobs gauge',
+            'jobs{status="running"} 1',
+            '',
+            '# HELP phase_seconds Phases',
+            '# TYPE phase_seconds histogram',
+            'phase_seconds_bucket{phase="load-more",le="1"} 0',
+            'phase_seconds_bucket{phase="load-more",le="10"} 1',
+            'phase_seconds_bucket{phase="load-more",le="+Inf"} 1',
+            'phase_seconds_sum{phase="load-more"} 4',
+            'phase_seconds_count{phase="load-more"} 1',
+            ''
+        ].join('\n'));
+    });
+
+    it('keeps one series per label set, whatever the label order', () => {
+        const registry = new Registry();
+        const counter = registry.counter('retries_total', 'Retries');
+        counter.inc({ site: 'amazon', kind: 'product' });
+        counter.inc({ kind: 'product', site: 'amazon' });
+        assert.match(registry.render(), /retries_total\{site="amazon",kind="product"\} 2\n/);
+    });
+});
+
+describe('run report', () => {
+    it('rates missing values per field, counting empty lists as missing', () => {
+        const fields = fieldReport([
+            { brand: 'Acme', categories: ['Laptops'], price: 10 },
+            { brand: null, categories: [], price: 0 },
+            { brand: '', categories: ['Laptops'], price: null },
+            { brand: 'Acme', categories: ['Laptops'], price: 12 },
+            { brand: 'Acme', categories: ['Laptops'], price: 9 }
+        ]);
+        assert.deepStrictEqual(fields.brand, { missing: 2, rate: 0.4 });
+        assert.deepStrictEqual(fields.categories, { missing: 1, rate: 0.2 });
+        assert.deepStrictEqual(fields.price, { missing: 1, rate: 0.2 });
+    });
+});
+
+describe('run log', () => {
+    it('writes one JSON line per event, all on disk once closed', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-test-'));
+        try {
+            const telemetry = new RunTelemetry('20240101-000000-abcdef', { dir, echo: false });
+            telemetry.retry('https://www.takealot.com/tv/PLID1', 1, 'timeout');
+            telemetry.warn('Reducing concurrency to 1 (throttled)', { event: 'concurrency', limit: 1 });
+            await telemetry.close();
+            telemetry.info('Dropped once the log is closed');
+
+            const lines = fs.readFileSync(telemetry.logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            assert.deepStrictEqual(lines.map(line => [line.level, line.event]), [['warn', 'retry'], ['warn', 'concurrency']]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});